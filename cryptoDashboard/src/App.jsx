@@ -11,112 +11,124 @@ How to use:
 
 Notes:
 - This is a compact, single-file starter that implements:
-  - Header with market summary cards
-  - Highlights: Trending and Top Gainers
+  - Header with global market summary cards (/global)
+  - Configurable highlights (Trending, Top Gainers/Losers, …)
   - Search (debounced) and client-side filtering
   - Sortable table columns (price, 24h change, market cap, volume)
-  - Pagination via "Load more" (simple infinite page loader)
+  - Virtualized market table with infinite-scroll paging
   - Lightweight modal for coin details
-  - Loading and error states
+  - Loading and error states, with the last saved snapshot shown offline
   - Sparkline (mini SVG) using sparkline data from CoinGecko
 
 - For production hide API keys behind a backend. This example uses the public CoinGecko endpoints.
 - If you hit rate limits during development, reduce requests frequency or switch to a server proxy.
 */
 
-import React, { useEffect, useMemo, useState, useRef } from "react";
+import React, { useCallback, useEffect, useMemo, useState, useRef } from "react";
+import { Link, Navigate, Route, Routes, useSearchParams } from "react-router-dom";
 import Highlights from "./components/Highlights";
+import CoinDetail from "./components/CoinDetail";
+import Portfolio from "./components/Portfolio/Portfolio";
+import AlertsPanel from "./components/Alerts/AlertsPanel";
+import CategoryPicker from "./components/CategoryPicker";
+import ExportMenu from "./components/ExportMenu";
+import GlobalOverview from "./components/GlobalOverview";
+import StaleBadge from "./components/StaleBadge";
+import MarketTable from "./components/MarketTable/MarketTable";
+import Navbar from "./components/Navbar/navbar";
+import ColumnChooser from "./components/MarketTable/ColumnChooser";
+import { marketExport } from "./components/MarketTable/columns";
+import MoreMenu from "./components/Screener/MoreMenu";
+import ScreenerPanel from "./components/Screener/ScreenerPanel";
+import WatchlistBar from "./components/Watchlist/WatchlistBar";
+import { useCurrency } from "./context/currency";
+import { formatCurrency, formatPercent } from "./utils/format";
+import { COMPARE_MAX, COMPARE_MIN } from "./utils/compare";
+import { applyScreener, decodeScreener, encodeScreener, isScreenerActive } from "./utils/screener";
+import { fetchMarkets, fetchMarketsByIds, fetchTrending, isAbortError, loadSnapshot, marketsKey, TRENDING_KEY } from "./api";
+import { createPollingSource, DEFAULT_REFRESH_INTERVAL, mergeMarketRows } from "./api/live";
+import useAlerts from "./hooks/useAlerts";
+import useCoinsById from "./hooks/useCoinsById";
+import useDebounced from "./hooks/useDebounced";
+import useCoinVisits from "./hooks/useCoinVisits";
+import useColumnLayout from "./hooks/useColumnLayout";
+import useGlobalMarket from "./hooks/useGlobalMarket";
+import useHighlights from "./hooks/useHighlights";
+import useLiveSource from "./hooks/useLiveSource";
+import usePersistentState from "./hooks/usePersistentState";
+import useScreenerPresets from "./hooks/useScreenerPresets";
+import useWatchlists from "./hooks/useWatchlists";
+import CategoriesPage from "./pages/CategoriesPage";
+import CoinPage from "./pages/CoinPage";
+import ComparePage from "./pages/ComparePage";
+import ConverterPage from "./pages/ConverterPage";
+import HighlightsPage from "./pages/HighlightsPage";
+import { color } from "./utils/themes";
 
-// ---------- Helpers ----------
-function formatCurrency(n) {
-  if (n === null || n === undefined) return "-";
-  return new Intl.NumberFormat("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 }).format(n);
-}
-function formatNumber(n) {
-  if (n === null || n === undefined) return "-";
-  return new Intl.NumberFormat("en-US").format(n);
-}
-function formatPercent(n) {
-  if (n === null || n === undefined) return "-";
-  return `${n.toFixed(2)}%`;
-}
+// ---------- Modal ----------
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
 
-function useDebounced(value, delay = 300) {
-  const [v, setV] = useState(value);
+// Dialog that keeps Tab/Shift+Tab inside itself, closes on Escape and hands
+// focus back to whatever opened it.
+function Modal({ open, onClose, label, children }) {
+  const dialogRef = useRef(null);
+  const onCloseRef = useRef(onClose);
   useEffect(() => {
-    const t = setTimeout(() => setV(value), delay);
-    return () => clearTimeout(t);
-  }, [value, delay]);
-  return v;
-}
-
-// Simple SVG sparkline component
-function Sparkline({ data = [], width = 110, height = 30, stroke = "#16a34a" }) {
-  if (!data || data.length === 0) return <div style={{ width, height }} />;
-  const min = Math.min(...data);
-  const max = Math.max(...data);
-  const range = max - min || 1;
-  const step = width / (data.length - 1);
-  const points = data.map((d, i) => {
-    const x = i * step;
-    const y = height - ((d - min) / range) * height;
-    return `${x},${y}`;
+    onCloseRef.current = onClose;
   });
-  const dAttr = `M${points.join(' L ')}`;
-  return (
-    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
-      <path d={dAttr} fill="none" stroke={stroke} strokeWidth={2} strokeLinejoin="round" strokeLinecap="round" />
-    </svg>
-  );
-}
-
-// ---------- API helpers ----------
-const COINGECKO_BASE = "https://api.coingecko.com/api/v3";
-
-async function fetchMarkets({ page = 1, per_page = 50, signal } = {}) {
-  const url = new URL(`${COINGECKO_BASE}/coins/markets`);
-  url.searchParams.set("vs_currency", "usd");
-  url.searchParams.set("order", "market_cap_desc");
-  url.searchParams.set("per_page", String(per_page));
-  url.searchParams.set("page", String(page));
-  url.searchParams.set("sparkline", "true");
-  url.searchParams.set("price_change_percentage", "24h");
-  const res = await fetch(url.toString(), { signal });
-  if (!res.ok) throw new Error(`API ${res.status} ${res.statusText}`);
-  const data = await res.json();
-  return data;
-}
 
-async function fetchTrending(signal) {
-  const url = `${COINGECKO_BASE}/search/trending`;
-  const res = await fetch(url, { signal });
-  if (!res.ok) throw new Error(`API ${res.status} ${res.statusText}`);
-  const data = await res.json();
-  return data.coins || [];
-}
+  useEffect(() => {
+    if (!open) return;
+    const opener = document.activeElement;
+    dialogRef.current?.focus();
+
+    function onKeyDown(e) {
+      const dialog = dialogRef.current;
+      if (!dialog) return;
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const focusable = [...dialog.querySelectorAll(FOCUSABLE)];
+      if (focusable.length === 0) {
+        e.preventDefault();
+        dialog.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const inside = dialog.contains(document.activeElement);
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === dialog || !inside)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
 
-async function fetchCoinDetail(id, signal) {
-  const url = new URL(`${COINGECKO_BASE}/coins/${id}`);
-  // minimize payload
-  url.searchParams.set("localization", "false");
-  url.searchParams.set("tickers", "false");
-  url.searchParams.set("market_data", "true");
-  url.searchParams.set("community_data", "false");
-  url.searchParams.set("developer_data", "false");
-  url.searchParams.set("sparkline", "true");
-  const res = await fetch(url.toString(), { signal });
-  if (!res.ok) throw new Error(`API ${res.status} ${res.statusText}`);
-  const data = await res.json();
-  return data;
-}
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      if (opener instanceof HTMLElement && opener.isConnected) opener.focus();
+    };
+  }, [open]);
 
-// ---------- Modal ----------
-function Modal({ open, onClose, children }) {
   if (!open) return null;
   return (
     <div style={styles.modalOverlay} onClick={onClose}>
-      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
-        <button style={styles.modalClose} onClick={onClose}>✕</button>
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={label}
+        tabIndex={-1}
+        style={styles.modal}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button type="button" style={styles.modalClose} onClick={onClose} aria-label="Close">✕</button>
         {children}
       </div>
     </div>
@@ -124,22 +136,57 @@ function Modal({ open, onClose, children }) {
 }
 
 // ---------- Main App ----------
+// Table view state lives in the query string so a URL reproduces the view.
+// Defaults are omitted to keep links short.
+const TABLE_PARAM_DEFAULTS = { q: '', sort: 'market_cap_rank', dir: 'asc', filter: 'all', category: '', screen: '' };
+
 export default function App() {
+  const { currency } = useCurrency();
   const [coins, setCoins] = useState([]);
   const [page, setPage] = useState(1);
   const perPage = 50;
   const [loading, setLoading] = useState(false);
   const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
   const [error, setError] = useState(null);
-  const [search, setSearch] = useState("");
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tableParam = (name) => searchParams.get(name) || TABLE_PARAM_DEFAULTS[name];
+  const search = tableParam('q');
   const debouncedSearch = useDebounced(search, 300);
-  const [sortBy, setSortBy] = useState({ key: 'market_cap_rank', dir: 'asc' });
+  const sortKey = tableParam('sort');
+  const sortDir = tableParam('dir') === 'desc' ? 'desc' : 'asc';
+  const filter = tableParam('filter');
+  const category = tableParam('category');
+  // the editor keeps half-filled conditions locally; only usable ones reach the URL
+  const [screener, setScreenerState] = useState(() => decodeScreener(searchParams.get('screen')));
+  const [screenerOpen, setScreenerOpen] = useState(() => isScreenerActive(screener));
+  const screenerPresets = useScreenerPresets();
+  const columnLayout = useColumnLayout();
   const [highlightsOpen, setHighlightsOpen] = useState(true);
   const [trending, setTrending] = useState([]);
   const [selectedCoin, setSelectedCoin] = useState(null);
-  const [detail, setDetail] = useState(null);
-  const [detailLoading, setDetailLoading] = useState(false);
+  const [compareIds, setCompareIds] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  const watchlists = useWatchlists();
+  const watchlistCoins = useCoinsById(watchlists.active.coinIds, coins, currency);
+  const [refreshInterval, setRefreshInterval] = usePersistentState("refreshInterval", DEFAULT_REFRESH_INTERVAL);
+  const [livePaused, setLivePaused] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  // set while the table shows the IndexedDB snapshot instead of live data
+  const [staleSince, setStaleSince] = useState(null);
+  const [flashes, setFlashes] = useState({});
+  const alerts = useAlerts({ coins, currency, lastUpdated });
+  const globalMarket = useGlobalMarket(currency, lastUpdated);
+  const globalMarketCap = globalMarket.global?.total_market_cap?.[currency];
+  const globalChange = globalMarket.global?.market_cap_change_percentage_24h_usd;
+  const { visits, recordVisit } = useCoinVisits();
+  const highlights = useHighlights({ coins, trending, visits, currency });
   const abortRef = useRef(null);
+  const loadingMoreRef = useRef(false);
+  const coinsRef = useRef(coins);
+  useEffect(() => {
+    coinsRef.current = coins;
+  });
 
   useEffect(() => {
     abortRef.current && abortRef.current.abort();
@@ -147,53 +194,140 @@ export default function App() {
     abortRef.current = controller;
     setLoading(true);
     setError(null);
-    fetchMarkets({ page: 1, per_page: perPage, signal: controller.signal })
+    // a retry (reloadKey > 0) bypasses fresh cache entries
+    const force = reloadKey > 0;
+    let live = false;
+    fetchMarkets({ page: 1, per_page: perPage, vs_currency: currency, category, signal: controller.signal, force })
       .then((data) => {
+        live = true;
         setCoins(data);
         setPage(1);
+        setHasMore(data.length === perPage);
+        setLastUpdated(Date.now());
+        setStaleSince(null);
       })
-      .catch((err) => setError(err.message))
+      .catch((err) => { if (!isAbortError(err)) setError(err.message); })
       .finally(() => setLoading(false));
 
+    // paint the last saved first page while the network catches up; paging
+    // waits for live data
+    if (!force) {
+      loadSnapshot(marketsKey({ page: 1, per_page: perPage, vs_currency: currency, category })).then((snap) => {
+        if (!snap || live || controller.signal.aborted) return;
+        setCoins(snap.data);
+        setPage(1);
+        setHasMore(false);
+        setStaleSince(snap.savedAt);
+        setLoading(false);
+      });
+      loadSnapshot(TRENDING_KEY).then((snap) => {
+        if (snap && !controller.signal.aborted) setTrending((t) => (t.length ? t : snap.data));
+      });
+    }
+
     // trending
-    fetchTrending(controller.signal).then((t) => setTrending(t)).catch(() => {});
+    fetchTrending(controller.signal, { force }).then((t) => setTrending(t)).catch(() => {});
 
     return () => controller.abort();
-  }, []);
+  }, [currency, category, reloadKey]);
 
   async function loadMore() {
+    // infinite scroll can ask again before the state update lands
+    if (loadingMoreRef.current) return;
+    loadingMoreRef.current = true;
     setLoadingMore(true);
     try {
       const nextPage = page + 1;
-      const data = await fetchMarkets({ page: nextPage, per_page: perPage });
-      setCoins((c) => [...c, ...data]);
+      const data = await fetchMarkets({ page: nextPage, per_page: perPage, vs_currency: currency, category });
+      // ranks shift between requests, so a coin can appear on two pages;
+      // merge by id instead of appending blindly
+      setCoins((c) => mergeMarketRows(c, data).rows);
       setPage(nextPage);
+      // a category runs out long before the full market does
+      setHasMore(data.length === perPage);
     } catch (err) {
       setError(err.message || String(err));
     } finally {
+      loadingMoreRef.current = false;
       setLoadingMore(false);
     }
   }
 
-  // search + filter
+  // live refresh: re-poll the rows the table has mounted by id and merge
+  // them in place, so pagination, search and sort survive each tick. With
+  // thousands of rows loaded, polling every page would hit the rate limit.
+  const visibleIdsRef = useRef([]);
+  const setVisibleIds = useCallback((ids) => {
+    visibleIdsRef.current = ids;
+  }, []);
+  const liveSource = useMemo(() => createPollingSource({
+    interval: refreshInterval,
+    // a failed poll must reject rather than resolve to the cached rows, so
+    // the header doesn't claim an update that never happened
+    load: () => fetchMarketsByIds(visibleIdsRef.current, { vs_currency: currency, force: true, staleWhileRevalidate: false }),
+  }), [refreshInterval, currency]);
+
+  useLiveSource(liveSource, {
+    enabled: !livePaused && !loading,
+    onData: (rows) => {
+      if (rows.length === 0) return;
+      const loaded = new Set(coinsRef.current.map((c) => c.id));
+      const { rows: next, changes } = mergeMarketRows(coinsRef.current, rows.filter((r) => loaded.has(r.id)));
+      // watchlist coins beyond the loaded pages live in useCoinsById
+      const extraChanges = watchlistCoins.merge(rows.filter((r) => !loaded.has(r.id)));
+      setCoins(next);
+      setLastUpdated(Date.now());
+      setStaleSince(null);
+      const flashed = { ...changes, ...extraChanges };
+      if (Object.keys(flashed).length) setFlashes(flashed);
+    },
+    // keep showing the last good rows, marked stale as of their fetch
+    onError: (err) => {
+      if (!isAbortError(err)) setStaleSince((since) => since ?? lastUpdated ?? Date.now());
+    },
+  });
+
+  useEffect(() => {
+    if (Object.keys(flashes).length === 0) return;
+    const t = setTimeout(() => setFlashes({}), 1200);
+    return () => clearTimeout(t);
+  }, [flashes]);
+
+  function updateTableParams(patch) {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(patch).forEach(([k, v]) => {
+        if (v === undefined || v === null || v === TABLE_PARAM_DEFAULTS[k]) next.delete(k);
+        else next.set(k, v);
+      });
+      return next;
+    }, { replace: true });
+  }
+
+  function setScreener(next) {
+    setScreenerState(next);
+    updateTableParams({ screen: encodeScreener(next) });
+  }
+
+  // search + filter; a watchlist may include coins beyond the loaded pages,
+  // and the screener runs over every loaded row, not just what's on screen
+  const source = filter === 'watchlist' ? watchlistCoins.rows : coins;
+  const sourceLoading = filter === 'watchlist' ? watchlistCoins.loading : loading;
+  const screened = useMemo(() => applyScreener(source, screener), [source, screener]);
   const filtered = useMemo(() => {
-    if (!debouncedSearch) return coins;
+    if (!debouncedSearch) return screened;
     const q = debouncedSearch.toLowerCase();
-    return coins.filter((c) => c.name.toLowerCase().includes(q) || c.symbol.toLowerCase().includes(q));
-  }, [coins, debouncedSearch]);
+    return screened.filter((c) => c.name.toLowerCase().includes(q) || c.symbol.toLowerCase().includes(q));
+  }, [screened, debouncedSearch]);
 
   // sorting
   const sorted = useMemo(() => {
     const arr = [...filtered];
-    const { key, dir } = sortBy;
+    const key = sortKey;
+    const dir = sortDir;
     arr.sort((a, b) => {
       let av = a[key];
       let bv = b[key];
-      // nested path checks
-      if (key === 'price_change_percentage_24h') {
-        av = a.price_change_percentage_24h;
-        bv = b.price_change_percentage_24h;
-      }
       if (av == null) return 1;
       if (bv == null) return -1;
       if (typeof av === 'string') av = av.toLowerCase();
@@ -203,231 +337,206 @@ export default function App() {
       return 0;
     });
     return arr;
-  }, [filtered, sortBy]);
+  }, [filtered, sortKey, sortDir]);
+
+  const { active: activeList, toggleCoin } = watchlists;
+  const toggleStar = useCallback((coinId) => toggleCoin(activeList.id, coinId), [toggleCoin, activeList.id]);
+  const isStarred = useCallback((coinId) => activeList.coinIds.includes(coinId), [activeList.coinIds]);
+  const selectCoin = useCallback((c) => {
+    setSelectedCoin({ id: c.id, name: c.name });
+    recordVisit(c.id);
+  }, [recordVisit]);
+  const isCompared = useCallback((coinId) => compareIds.includes(coinId), [compareIds]);
+  const toggleCompare = useCallback((coinId) => setCompareIds((ids) => (
+    ids.includes(coinId) ? ids.filter((id) => id !== coinId) : ids.length < COMPARE_MAX ? [...ids, coinId] : ids
+  )), []);
+  // auto-load the next page only for the plain market listing; with search or
+  // a screener active it could otherwise walk the entire market
+  const autoLoad = filter === 'all' && hasMore && !debouncedSearch && !isScreenerActive(screener);
+
+  // exactly what the table shows: the `sorted` rows and the visible columns
+  function exportView() {
+    const meta = [
+      ['Currency', currency.toUpperCase()],
+      ['Sort', `${sortKey} ${sortDir}`],
+      ['View', filter === 'watchlist' ? `Watchlist: ${activeList.name}` : category ? `Category: ${category}` : 'All coins'],
+    ];
+    if (debouncedSearch) meta.push(['Search', debouncedSearch]);
+    if (isScreenerActive(screener)) meta.push(['Screener', encodeScreener(screener)]);
+    return marketExport(sorted, columnLayout.columns, { title: 'Crypto market', meta });
+  }
 
   function toggleSort(key) {
-    setSortBy((s) => {
-      if (s.key === key) return { key, dir: s.dir === 'asc' ? 'desc' : 'asc' };
-      return { key, dir: 'asc' };
-    });
+    if (sortKey === key) updateTableParams({ sort: key, dir: sortDir === 'asc' ? 'desc' : 'asc' });
+    else updateTableParams({ sort: key, dir: 'asc' });
   }
 
-  // highlights
-  const topGainers = useMemo(() => {
-    const arr = [...coins].filter(c => typeof c.price_change_percentage_24h === 'number');
-    arr.sort((a,b) => b.price_change_percentage_24h - a.price_change_percentage_24h);
-    return arr.slice(0, 3);
-  }, [coins]);
-
-  // open detail modal
-  useEffect(() => {
-    if (!selectedCoin) return;
-    setDetailLoading(true);
-    setDetail(null);
-    let mounted = true;
-    const controller = new AbortController();
-    fetchCoinDetail(selectedCoin.id, controller.signal)
-      .then((d) => {
-        if (!mounted) return;
-        setDetail(d);
-      })
-      .catch((err) => {
-        console.error('detail fetch error', err);
-      })
-      .finally(() => setDetailLoading(false));
-    return () => {
-      mounted = false;
-      controller.abort();
-    };
-  }, [selectedCoin]);
-
   return (
-    <div style={styles.page}>
-      <header style={styles.header}>
-        <div>
-          <h1 style={styles.title}>Cryptocurrency Prices by Market Cap</h1>
-          <p style={styles.subtitle}>The global cryptocurrency market cap today is ~ <strong>{coins && coins.length ? formatCurrency(coins.reduce((s,c)=>s+(c.market_cap||0),0)) : '—'}</strong></p>
-        </div>
-        <div style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
-          <label style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-            Highlights
-           
-            <input type='checkbox' checked={highlightsOpen} onChange={(e)=>setHighlightsOpen(e.target.checked)} />
-          </label>
-        </div>
-      </header>
-
-      {/* top cards + highlights */}
-      <section style={styles.topGrid}>
-        <div style={styles.card}>
-          <div style={{ fontSize: 18, fontWeight: 700 }}>{coins && coins.length ? formatCurrency(coins.reduce((s,c)=>s+(c.market_cap||0),0)) : '—'}</div>
-          <div style={{ color: '#16a34a', marginTop: 6 }}>Market Cap ▲ 1.2%</div>
-          {/* tiny sparkline using aggregated data */}
-          <div style={{ marginTop: 8 }}> <Sparkline data={coins.slice(0,6).flatMap(c => c.sparkline_in_7d?.price?.slice(-20) || [])} width={180} height={40} /></div>
-        </div>
-
-        <div style={styles.card}>
-          <div style={{ fontSize: 18, fontWeight: 700 }}>{coins && coins.length ? formatCurrency(coins.reduce((s,c)=>s+(c.total_volume||0),0)) : '—'}</div>
-          <div style={{ color: '#0ea5e9', marginTop: 6 }}>24h Trading Volume</div>
-          <div style={{ marginTop: 8 }}><Sparkline data={coins.slice(0,6).flatMap(c => c.sparkline_in_7d?.price?.slice(-18) || [])} width={180} height={40} stroke="#0ea5e9" /></div>
-        </div>
-
-        {highlightsOpen && (
-          <div style={{ ...styles.card, flex: 1 }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-              <h3 style={{ margin: 0 }}>Trending</h3>
-              <a href="#" onClick={(e)=>e.preventDefault()}>View more</a>
-            </div>
-            <div style={{ marginTop: 8 }}>
-              {trending.length === 0 && <div style={{ color: '#888' }}>No trending data</div>}
-              {trending.map((tObj, idx) => {
-                const item = tObj.item || tObj;
-                return (
-                  <div key={idx} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', borderBottom: '1px solid #f2f2f2' }}>
-                    <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-                      <img src={item.small} alt="" style={{ width: 20, height: 20, borderRadius: 10 }} />
-                      <div>
-                        <div style={{ fontWeight: 600 }}>{item.name}</div>
-                        <div style={{ fontSize: 12, color: '#666' }}>{item.symbol.toUpperCase()}</div>
-                      </div>
-                    </div>
-                    <div style={{ textAlign: 'right', minWidth: 80 }}>$ -</div>
-                  </div>
-                );
-              })}
-            </div>
-          </div>
-        )}
-
-        {highlightsOpen && (
-          <div style={{ ...styles.card, flex: 1 }}>
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-              <h3 style={{ margin: 0 }}>Top Gainers</h3>
-              <a href="#" onClick={(e)=>e.preventDefault()}>View more</a>
-            </div>
-            <div style={{ marginTop: 8 }}>
-              {topGainers.map((c) => (
-                <div key={c.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', borderBottom: '1px solid #f2f2f2' }}>
-                  <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-                    <img src={c.image} alt="" style={{ width: 20, height: 20, borderRadius: 10 }} />
-                    <div style={{ fontWeight: 600 }}>{c.name}</div>
-                  </div>
-                  <div style={{ textAlign: 'right', minWidth: 90 }}>
-                    <div style={{ fontWeight: 700 }}>{c.current_price ? `$${c.current_price.toLocaleString()}` : '-'}</div>
-                    <div style={{ color: '#16a34a' }}>{c.price_change_percentage_24h?.toFixed(1)}%</div>
-                  </div>
-                </div>
-              ))}
-            </div>
+    <>
+      <Navbar alertsUnread={alerts.unread} refreshInterval={refreshInterval} onRefreshIntervalChange={setRefreshInterval} />
+      <div style={styles.page}>
+        <header style={styles.header}>
+          <div>
+            <h1 style={styles.title}>Cryptocurrency Prices by Market Cap</h1>
+            <p style={styles.subtitle}>
+              The global cryptocurrency market cap today is <strong>{globalMarketCap ? formatCurrency(globalMarketCap, currency) : '—'}</strong>
+              {typeof globalChange === 'number' && `, a ${formatPercent(Math.abs(globalChange))} ${globalChange >= 0 ? 'increase' : 'decrease'} over the last day.`}
+            </p>
           </div>
-        )}
-      </section>
-
-      {/* search + filters */}
-      <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginTop: 16 }}>
-        <input
-          value={search}
-          onChange={(e) => setSearch(e.target.value)}
-          placeholder="Search by name or symbol"
-          style={styles.search}
-        />
-
-        <div style={{ display: 'flex', gap: 8 }}>
-          <button style={styles.filterBtn}>All</button>
-          <button style={styles.filterBtn}>Highlights</button>
-          <button style={styles.filterBtn}>Categories</button>
-          <button style={styles.filterBtn}>More ▾</button>
-        </div>
-      </div>
-
-      {/* table */}
-      <section style={{ marginTop: 20 }}>
-        <div style={styles.tableHead}>
-          <div style={{ width: 40, textAlign: 'center' }}>#</div>
-          <div style={{ flex: 2 }}>Coin</div>
-          <div style={{ width: 120, textAlign: 'right', cursor: 'pointer' }} onClick={()=>toggleSort('current_price')}>Price</div>
-          <div style={{ width: 120, textAlign: 'right', cursor: 'pointer' }} onClick={()=>toggleSort('price_change_percentage_24h')}>24h</div>
-          <div style={{ width: 160, textAlign: 'right', cursor: 'pointer' }} onClick={()=>toggleSort('total_volume')}>24h Volume</div>
-          <div style={{ width: 160, textAlign: 'right', cursor: 'pointer' }} onClick={()=>toggleSort('market_cap')}>Market Cap</div>
-          <div style={{ width: 160, textAlign: 'right' }}>Last 7 Days</div>
-        </div>
-
-        {loading && (
-          <div style={{ padding: 20 }}>Loading data…</div>
-        )}
-
-        {!loading && sorted.map((c, idx) => (
-          <div key={c.id} style={styles.tableRow} onClick={() => setSelectedCoin({ id: c.id, name: c.name })}>
-            <div style={{ width: 40, textAlign: 'center' }}>{c.market_cap_rank}</div>
-            <div style={{ display: 'flex', gap: 12, alignItems: 'center', flex: 2 }}>
-              <img src={c.image} alt="" style={{ width: 28, height: 28, borderRadius: 8 }} />
-              <div>
-                <div style={{ fontWeight: 700 }}>{c.name} <span style={{ color: '#666', fontSize: 13, marginLeft: 6 }}>{c.symbol.toUpperCase()}</span></div>
-                <div style={{ fontSize: 12, color: '#888' }}>{c.market_cap_rank ? `Rank #${c.market_cap_rank}` : ''}</div>
+          <div style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
+            {staleSince ? (
+              <StaleBadge since={staleSince} />
+            ) : (
+              <div style={{ fontSize: 13, color: color.textMuted }}>
+                {lastUpdated ? `Updated ${new Date(lastUpdated).toLocaleTimeString()}` : 'Not updated yet'}
               </div>
-            </div>
-
-            <div style={{ width: 120, textAlign: 'right' }}>{c.current_price ? `$${c.current_price.toLocaleString()}` : '-'}</div>
-
-            <div style={{ width: 120, textAlign: 'right', color: c.price_change_percentage_24h >= 0 ? '#16a34a' : '#ef4444' }}>{c.price_change_percentage_24h ? `${c.price_change_percentage_24h.toFixed(2)}%` : '-'}</div>
-
-            <div style={{ width: 160, textAlign: 'right' }}>{c.total_volume ? formatNumber(Math.round(c.total_volume)) : '-'}</div>
-
-            <div style={{ width: 160, textAlign: 'right' }}>{c.market_cap ? formatNumber(Math.round(c.market_cap)) : '-'}</div>
-
-            <div style={{ width: 160, textAlign: 'right' }}>
-              <Sparkline data={c.sparkline_in_7d?.price?.slice(-20) || []} width={140} height={40} stroke={c.price_change_percentage_24h >= 0 ? '#16a34a' : '#ef4444'} />
-            </div>
+            )}
+            <button style={styles.filterBtn} onClick={() => setLivePaused((p) => !p)}>
+              {livePaused ? '▶ Resume' : '❚❚ Pause'}
+            </button>
+            <label style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+              Highlights
+             
+              <input type='checkbox' checked={highlightsOpen} onChange={(e)=>setHighlightsOpen(e.target.checked)} />
+            </label>
           </div>
-        ))}
-
-        {sorted.length === 0 && !loading && (
-          <div style={{ padding: 20, color: '#666' }}>No coins found.</div>
-        )}
-
-        <div style={{ textAlign: 'center', marginTop: 12 }}>
-          <button onClick={loadMore} style={styles.loadMoreBtn} disabled={loadingMore}>{loadingMore ? 'Loading…' : 'Load more'}</button>
-        </div>
-
-      </section>
-
-      <Modal open={!!selectedCoin} onClose={() => { setSelectedCoin(null); setDetail(null); }}>
-        <div>
-          {detailLoading && <div>Loading...</div>}
-          {detail && (
-            <div>
-              <div style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
-                <img src={detail.image?.small} alt="" style={{ width: 36, height: 36 }} />
-                <div>
-                  <h2 style={{ margin: 0 }}>{detail.name} <small style={{ color: '#666' }}>{detail.symbol?.toUpperCase()}</small></h2>
-                  <div style={{ color: '#666' }}>{detail.market_data?.current_price?.usd ? `$${detail.market_data.current_price.usd.toLocaleString()}` : '-'}</div>
+        </header>
+
+        <Routes>
+          <Route path="/" element={(
+            <>
+              {/* top cards + highlights */}
+              <section style={styles.topGrid}>
+                <GlobalOverview
+                  global={globalMarket.global}
+                  history={globalMarket.history}
+                  historyUnsupported={globalMarket.historyUnsupported}
+                  error={globalMarket.error}
+                  currency={currency}
+                  cardStyle={styles.card}
+                />
+
+                {highlightsOpen && <Highlights highlights={highlights} currency={currency} cardStyle={styles.card} />}
+              </section>
+
+              {/* search + filters */}
+              <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginTop: 16 }}>
+                <input
+                  value={search}
+                  onChange={(e) => updateTableParams({ q: e.target.value })}
+                  placeholder="Search by name or symbol"
+                  style={styles.search}
+                />
+
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <button style={filter === 'all' && !category ? styles.filterBtnActive : styles.filterBtn} onClick={() => updateTableParams({ filter: 'all', category: '' })}>All</button>
+                  <button style={filter === 'watchlist' ? styles.filterBtnActive : styles.filterBtn} onClick={() => updateTableParams({ filter: 'watchlist' })}>★ Watchlist</button>
+                  <CategoryPicker
+                    value={category}
+                    onChange={(id) => updateTableParams({ category: id, filter: 'all' })}
+                    buttonStyle={styles.filterBtn}
+                    activeButtonStyle={styles.filterBtnActive}
+                  />
+                  <MoreMenu
+                    presets={screenerPresets.presets}
+                    onOpenScreener={() => setScreenerOpen(true)}
+                    onApplyPreset={(p) => { setScreener(p.screener); setScreenerOpen(true); }}
+                    onDeletePreset={screenerPresets.deletePreset}
+                    buttonStyle={isScreenerActive(screener) ? styles.filterBtnActive : styles.filterBtn}
+                  />
+                  <ColumnChooser layout={columnLayout} buttonStyle={styles.filterBtn} />
+                  <ExportMenu
+                    getTable={exportView}
+                    basename={filter === 'watchlist' ? 'watchlist' : 'markets'}
+                    buttonStyle={styles.filterBtn}
+                    disabled={sorted.length === 0}
+                  />
                 </div>
               </div>
 
-              <div style={{ marginTop: 12 }}>
-                <strong>Market Cap:</strong> {detail.market_data?.market_cap?.usd ? formatCurrency(detail.market_data.market_cap.usd) : '-'}
-              </div>
-
-              <div style={{ marginTop: 12 }}>
-                <strong>24h Change:</strong> {detail.market_data?.price_change_percentage_24h ? `${detail.market_data.price_change_percentage_24h.toFixed(2)}%` : '-'}
-              </div>
-
-              <div style={{ marginTop: 12 }}>
-                <a href={detail.links?.homepage?.[0]} target="_blank" rel="noreferrer">Official website</a>
+              {screenerOpen && (
+                <ScreenerPanel
+                  value={screener}
+                  onChange={setScreener}
+                  onSavePreset={screenerPresets.savePreset}
+                  onClose={() => setScreenerOpen(false)}
+                  matchCount={screened.length}
+                  totalCount={source.length}
+                />
+              )}
+
+              {filter === 'watchlist' && <WatchlistBar watchlists={watchlists} />}
+
+              {compareIds.length > 0 && (
+                <div style={styles.compareBar}>
+                  <span>{compareIds.length} of {COMPARE_MAX} selected for comparison</span>
+                  {compareIds.length >= COMPARE_MIN
+                    ? <Link to={`/compare?ids=${compareIds.join(',')}`} style={styles.filterBtnActive}>Compare →</Link>
+                    : <span style={{ color: color.textMuted }}>select at least {COMPARE_MIN}</span>}
+                  <button style={styles.filterBtn} onClick={() => setCompareIds([])}>Clear</button>
+                </div>
+              )}
+
+              {/* table */}
+              <section style={{ marginTop: 20 }}>
+                <MarketTable
+                  rows={sorted}
+                  loading={sourceLoading}
+                  currency={currency}
+                  flashes={flashes}
+                  isStarred={isStarred}
+                  starTitle={`Toggle in "${activeList.name}"`}
+                  onToggleStar={toggleStar}
+                  isCompared={isCompared}
+                  compareFull={compareIds.length >= COMPARE_MAX}
+                  onToggleCompare={toggleCompare}
+                  onSelect={selectCoin}
+                  sortKey={sortKey}
+                  sortDir={sortDir}
+                  onSort={toggleSort}
+                  layout={columnLayout}
+                  onEndReached={autoLoad ? loadMore : undefined}
+                  onVisibleRowsChange={setVisibleIds}
+                  loadingMore={loadingMore}
+                  emptyMessage={filter === 'watchlist' && activeList.coinIds.length === 0 ? 'This watchlist is empty. Star a coin to add it.' : 'No coins found.'}
+                />
+              </section>
+            </>
+          )} />
+          <Route path="/coins/:id" element={<CoinPage currency={currency} watchlists={watchlists} onVisit={recordVisit} />} />
+          <Route path="/highlights/:type" element={<HighlightsPage highlights={highlights} currency={currency} />} />
+          <Route path="/trending" element={<Navigate to="/highlights/trending" replace />} />
+          <Route path="/gainers" element={<Navigate to="/highlights/gainers" replace />} />
+          <Route path="/categories" element={<CategoriesPage />} />
+          <Route path="/compare" element={<ComparePage currency={currency} />} />
+          <Route path="/convert" element={<ConverterPage coins={coins} currency={currency} loading={loading} error={error} />} />
+          <Route path="/portfolio" element={(
+            <Portfolio coins={coins} currency={currency} onSelectCoin={(c) => setSelectedCoin({ id: c.id, name: c.name })} />
+          )} />
+          <Route path="/alerts" element={<AlertsPanel alerts={alerts} coins={coins} currency={currency} />} />
+          <Route path="*" element={<div style={{ padding: 20, color: color.textMuted }}>Page not found. <Link to="/">Back to markets</Link></div>} />
+        </Routes>
+
+        <Modal open={!!selectedCoin} onClose={() => setSelectedCoin(null)} label={selectedCoin?.name}>
+          {selectedCoin && (
+            <div>
+              <CoinDetail coinId={selectedCoin.id} currency={currency} watchlists={watchlists} />
+              <div style={{ marginTop: 12, display: 'flex', gap: 16, justifyContent: 'flex-end' }}>
+                <Link to={`/convert?coin=${encodeURIComponent(selectedCoin.id)}`} onClick={() => setSelectedCoin(null)}>Convert &amp; calculate</Link>
+                <Link to={`/coins/${selectedCoin.id}`} onClick={() => setSelectedCoin(null)}>Open full page →</Link>
               </div>
-
             </div>
           )}
-        </div>
-      </Modal>
+        </Modal>
 
-      {error && (
-        <div style={{ marginTop: 12, color: 'red' }}>
-          API error: {error} <button onClick={() => window.location.reload()}>Retry</button>
-        </div>
-      )}
+        {error && (
+          <div style={{ marginTop: 12, color: color.danger }}>
+            API error: {error}{staleSince && ' — showing saved data.'} <button onClick={() => setReloadKey((k) => k + 1)}>Retry</button>
+          </div>
+        )}
 
-    </div>
+      </div>
+    </>
   );
 }
 
@@ -436,15 +545,15 @@ const styles = {
   page: { maxWidth: 1200, margin: '24px auto', padding: '0 16px', fontFamily: 'Inter, system-ui, -apple-system, Roboto, "Segoe UI", "Helvetica Neue", Arial' },
   header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' },
   title: { margin: 0, fontSize: 22 },
-  subtitle: { margin: 0, color: '#666', marginTop: 6 },
-  topGrid: { display: 'grid', gridTemplateColumns: '220px 220px 1fr 1fr', gap: 12, marginTop: 16 },
-  card: { background: '#fff', borderRadius: 10, padding: 14, boxShadow: '0 1px 3px rgba(0,0,0,0.05)', border: '1px solid #f3f4f6' },
-  search: { padding: '8px 12px', borderRadius: 8, border: '1px solid #e5e7eb', width: 360 },
-  filterBtn: { padding: '8px 12px', borderRadius: 8, border: '1px solid #e5e7eb', background: 'white' },
-  tableHead: { display: 'flex', gap: 12, padding: '12px 8px', color: '#6b7280', borderBottom: '1px solid #f3f4f6', alignItems: 'center', fontSize: 14, marginTop: 8 },
-  tableRow: { display: 'flex', gap: 12, padding: '12px 8px', borderBottom: '1px solid #f8fafc', alignItems: 'center', cursor: 'pointer' },
-  loadMoreBtn: { padding: '8px 16px', borderRadius: 8, border: 'none', background: '#111827', color: 'white' },
-  modalOverlay: { position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.4)', display: 'flex', justifyContent: 'center', alignItems: 'center', zIndex: 50 },
-  modal: { width: 720, maxWidth: '95%', background: 'white', borderRadius: 8, padding: 18, position: 'relative' },
-  modalClose: { position: 'absolute', right: 8, top: 8, border: 'none', background: 'transparent', fontSize: 18, cursor: 'pointer' },
+  subtitle: { margin: 0, color: color.textMuted, marginTop: 6 },
+  topGrid: { display: 'grid', gridTemplateColumns: '220px 220px 1fr', gap: 12, marginTop: 16, alignItems: 'start' },
+  card: { background: color.surface, borderRadius: 10, padding: 14, boxShadow: `0 1px 3px ${color.shadow}`, border: `1px solid ${color.borderSubtle}` },
+  search: { padding: '8px 12px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text, width: 360 },
+  select: { padding: '6px 8px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text },
+  compareBar: { marginTop: 12, display: 'flex', gap: 12, alignItems: 'center', padding: '8px 12px', borderRadius: 8, background: color.surfaceAlt, fontSize: 14 },
+  filterBtn: { padding: '8px 12px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text, cursor: 'pointer' },
+  filterBtnActive: { padding: '8px 12px', borderRadius: 8, border: `1px solid ${color.accent}`, background: color.accent, color: color.accentText, cursor: 'pointer' },
+  modalOverlay: { position: 'fixed', inset: 0, background: color.overlay, display: 'flex', justifyContent: 'center', alignItems: 'center', zIndex: 50 },
+  modal: { width: 860, maxHeight: '90vh', overflowY: 'auto', maxWidth: '95%', background: color.surface, borderRadius: 8, padding: 18, position: 'relative', outline: 'none' },
+  modalClose: { position: 'absolute', right: 8, top: 8, border: 'none', background: 'transparent', color: color.text, fontSize: 18, cursor: 'pointer' },
 };
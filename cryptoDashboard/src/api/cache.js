@@ -0,0 +1,67 @@
+// src/api/cache.js
+// Shared in-memory response cache. Entries expire after a per-call TTL,
+// concurrent callers for the same key share one in-flight request, and in
+// stale-while-revalidate mode an expired entry is served immediately while a
+// background refresh runs (a failed refresh keeps the last good data).
+
+const entries = new Map(); // key -> { data, fetchedAt }
+const inflight = new Map(); // key -> Promise
+
+// Resolve with `promise` unless the caller's own signal aborts first; the
+// shared request keeps running for the other callers and the cache.
+function withSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new DOMException("Aborted", "AbortError"));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException("Aborted", "AbortError"));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+function load(key, fetcher) {
+  if (inflight.has(key)) return inflight.get(key);
+  const promise = fetcher()
+    .then((data) => {
+      entries.set(key, { data, fetchedAt: Date.now() });
+      return data;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
+
+/**
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} fetcher
+ * @param {{ ttl: number, staleWhileRevalidate?: boolean, force?: boolean, signal?: AbortSignal }} opts
+ * @returns {Promise<T>}
+ */
+export function cachedRequest(key, fetcher, { ttl, staleWhileRevalidate = false, force = false, signal }) {
+  const entry = entries.get(key);
+  const fresh = entry && Date.now() - entry.fetchedAt < ttl;
+  if (entry && fresh && !force) return withSignal(Promise.resolve(entry.data), signal);
+
+  if (entry && staleWhileRevalidate) {
+    const refresh = load(key, fetcher);
+    if (!force) {
+      refresh.catch(() => {}); // keep serving the stale entry
+      return withSignal(Promise.resolve(entry.data), signal);
+    }
+    return withSignal(refresh.catch(() => entry.data), signal);
+  }
+  return withSignal(load(key, fetcher), signal);
+}
+
+// Timestamp of the cached response for `key`, or null.
+export function cachedAt(key) {
+  return entries.get(key)?.fetchedAt ?? null;
+}
+
+// Drop every entry whose key starts with `prefix` (all entries if omitted).
+export function invalidate(prefix = "") {
+  for (const key of entries.keys()) {
+    if (key.startsWith(prefix)) entries.delete(key);
+  }
+}
@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cachedAt, cachedRequest, invalidate } from "./cache";
+
+// resolves once pending promise callbacks have run
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("cachedRequest", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    invalidate();
+    vi.useRealTimers();
+  });
+
+  it("serves a fresh entry without refetching until the TTL passes", async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce("a").mockResolvedValueOnce("b");
+    expect(await cachedRequest("k", fetcher, { ttl: 1000 })).toBe("a");
+    expect(cachedAt("k")).toBe(0);
+    vi.setSystemTime(999);
+    expect(await cachedRequest("k", fetcher, { ttl: 1000 })).toBe("a");
+    vi.setSystemTime(1000);
+    expect(await cachedRequest("k", fetcher, { ttl: 1000 })).toBe("b");
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("refetches a fresh entry when forced", async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce("a").mockResolvedValueOnce("b");
+    await cachedRequest("k", fetcher, { ttl: 1000 });
+    expect(await cachedRequest("k", fetcher, { ttl: 1000, force: true })).toBe("b");
+  });
+
+  it("shares one in-flight request between concurrent callers", async () => {
+    const fetcher = vi.fn().mockResolvedValue("a");
+    const results = await Promise.all([cachedRequest("k", fetcher, { ttl: 1000 }), cachedRequest("k", fetcher, { ttl: 1000 })]);
+    expect(results).toEqual(["a", "a"]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not cache failures", async () => {
+    const fetcher = vi.fn().mockRejectedValueOnce(new Error("down")).mockResolvedValueOnce("a");
+    await expect(cachedRequest("k", fetcher, { ttl: 1000 })).rejects.toThrow("down");
+    expect(await cachedRequest("k", fetcher, { ttl: 1000 })).toBe("a");
+  });
+
+  it("serves a stale entry while revalidating in the background", async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce("a").mockResolvedValueOnce("b");
+    await cachedRequest("k", fetcher, { ttl: 1000 });
+    vi.setSystemTime(5000);
+    expect(await cachedRequest("k", fetcher, { ttl: 1000, staleWhileRevalidate: true })).toBe("a");
+    await flush();
+    expect(await cachedRequest("k", fetcher, { ttl: 1000 })).toBe("b");
+  });
+
+  it("keeps the stale entry when a forced revalidation fails", async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce("a").mockRejectedValueOnce(new Error("down"));
+    await cachedRequest("k", fetcher, { ttl: 1000 });
+    expect(await cachedRequest("k", fetcher, { ttl: 1000, staleWhileRevalidate: true, force: true })).toBe("a");
+  });
+
+  it("rejects a failed forced refresh without stale-while-revalidate", async () => {
+    const fetcher = vi.fn().mockResolvedValueOnce("a").mockRejectedValueOnce(new Error("down"));
+    await cachedRequest("k", fetcher, { ttl: 1000 });
+    await expect(cachedRequest("k", fetcher, { ttl: 1000, force: true })).rejects.toThrow("down");
+    expect(await cachedRequest("k", fetcher, { ttl: 1000 })).toBe("a");
+  });
+
+  it("rejects an aborted caller without cancelling the shared request", async () => {
+    let resolve;
+    const fetcher = vi.fn(() => new Promise((r) => (resolve = r)));
+    const controller = new AbortController();
+    const aborted = cachedRequest("k", fetcher, { ttl: 1000, signal: controller.signal });
+    const other = cachedRequest("k", fetcher, { ttl: 1000 });
+    controller.abort();
+    await expect(aborted).rejects.toMatchObject({ name: "AbortError" });
+    resolve("a");
+    expect(await other).toBe("a");
+    expect(cachedAt("k")).toBe(0);
+  });
+});
+
+describe("invalidate", () => {
+  it("drops entries by key prefix", async () => {
+    await cachedRequest("coin:btc", async () => 1, { ttl: 1000 });
+    await cachedRequest("history:btc", async () => 2, { ttl: 1000 });
+    invalidate("coin:");
+    expect(cachedAt("coin:btc")).toBeNull();
+    expect(cachedAt("history:btc")).not.toBeNull();
+    invalidate();
+    expect(cachedAt("history:btc")).toBeNull();
+  });
+});
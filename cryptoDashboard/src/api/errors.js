@@ -0,0 +1,25 @@
+// src/api/errors.js
+
+// Thrown by providers for non-2xx responses. `retryAfter` is the delay in
+// milliseconds requested by the server's Retry-After header, if any.
+export class ApiError extends Error {
+  constructor(status, statusText, { retryAfter = null } = {}) {
+    super(`API ${status} ${statusText}`);
+    this.name = "ApiError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+export function parseRetryAfter(header, now = Date.now()) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
@@ -0,0 +1,75 @@
+// src/api/fixtures.js
+// Static market snapshot used by the mock provider. Prices are USD; other
+// quote currencies are derived with the fixed rates below.
+
+export const FIXTURE_TIME = Date.UTC(2025, 0, 15, 12, 0, 0);
+
+export const FIXTURE_RATES = {
+  usd: 1,
+  eur: 0.92,
+  gbp: 0.79,
+  inr: 83.2,
+  jpy: 148.5,
+  btc: 1 / 97250,
+  eth: 1 / 3410,
+};
+
+export const FIXTURE_COINS = [
+  { id: "bitcoin", symbol: "btc", name: "Bitcoin", price: 97250, change24h: 2.14, marketCap: 1925000000000, volume: 38100000000, supply: 19810000, maxSupply: 21000000 },
+  { id: "ethereum", symbol: "eth", name: "Ethereum", price: 3410, change24h: -1.32, marketCap: 410800000000, volume: 19400000000, supply: 120470000, maxSupply: null },
+  { id: "tether", symbol: "usdt", name: "Tether", price: 1.0, change24h: 0.01, marketCap: 138200000000, volume: 61200000000, supply: 138200000000, maxSupply: null },
+  { id: "ripple", symbol: "xrp", name: "XRP", price: 2.51, change24h: 5.87, marketCap: 144300000000, volume: 7900000000, supply: 57500000000, maxSupply: 100000000000 },
+  { id: "binancecoin", symbol: "bnb", name: "BNB", price: 702.4, change24h: 0.76, marketCap: 101200000000, volume: 1800000000, supply: 144000000, maxSupply: 200000000 },
+  { id: "solana", symbol: "sol", name: "Solana", price: 191.6, change24h: -3.41, marketCap: 92800000000, volume: 4300000000, supply: 484000000, maxSupply: null },
+  { id: "usd-coin", symbol: "usdc", name: "USDC", price: 1.0, change24h: -0.02, marketCap: 51900000000, volume: 7100000000, supply: 51900000000, maxSupply: null },
+  { id: "dogecoin", symbol: "doge", name: "Dogecoin", price: 0.3412, change24h: 7.95, marketCap: 50300000000, volume: 3600000000, supply: 147500000000, maxSupply: null },
+  { id: "cardano", symbol: "ada", name: "Cardano", price: 0.9874, change24h: -0.64, marketCap: 34700000000, volume: 1100000000, supply: 35150000000, maxSupply: 45000000000 },
+  { id: "tron", symbol: "trx", name: "TRON", price: 0.2431, change24h: 1.18, marketCap: 20900000000, volume: 820000000, supply: 86100000000, maxSupply: null },
+  { id: "chainlink", symbol: "link", name: "Chainlink", price: 21.37, change24h: 4.22, marketCap: 13600000000, volume: 910000000, supply: 638000000, maxSupply: 1000000000 },
+  { id: "avalanche-2", symbol: "avax", name: "Avalanche", price: 37.82, change24h: -2.76, marketCap: 15500000000, volume: 640000000, supply: 410000000, maxSupply: 720000000 },
+  { id: "shiba-inu", symbol: "shib", name: "Shiba Inu", price: 0.00002187, change24h: 3.05, marketCap: 12900000000, volume: 520000000, supply: 589250000000000, maxSupply: null },
+  { id: "polkadot", symbol: "dot", name: "Polkadot", price: 6.84, change24h: -1.91, marketCap: 10500000000, volume: 310000000, supply: 1540000000, maxSupply: null },
+  { id: "pepe", symbol: "pepe", name: "Pepe", price: 0.00001762, change24h: 11.43, marketCap: 7400000000, volume: 1900000000, supply: 420690000000000, maxSupply: 420690000000000 },
+];
+
+// `/global` figures the fixture coins cannot supply: listing counts and the
+// long tail of coins outside FIXTURE_COINS (USD).
+export const FIXTURE_GLOBAL = {
+  activeCryptocurrencies: 16842,
+  markets: 1214,
+  otherMarketCap: 612000000000,
+  otherVolume: 24600000000,
+};
+
+// Category memberships (CoinGecko category ids).
+export const FIXTURE_CATEGORIES = [
+  { id: "layer-1", name: "Layer 1 (L1)", coins: ["bitcoin", "ethereum", "binancecoin", "solana", "cardano", "tron", "avalanche-2", "polkadot"] },
+  { id: "smart-contract-platform", name: "Smart Contract Platform", coins: ["ethereum", "binancecoin", "solana", "cardano", "tron", "avalanche-2", "polkadot"] },
+  { id: "stablecoins", name: "Stablecoins", coins: ["tether", "usd-coin"] },
+  { id: "meme-token", name: "Meme", coins: ["dogecoin", "shiba-inu", "pepe"] },
+  { id: "decentralized-finance-defi", name: "DeFi", coins: ["chainlink"] },
+  { id: "oracle", name: "Oracle", coins: ["chainlink"] },
+  { id: "xrp-ledger-ecosystem", name: "XRP Ledger Ecosystem", coins: ["ripple"] },
+];
+
+export const FIXTURE_TRENDING = ["pepe", "solana", "dogecoin", "chainlink", "ripple", "shiba-inu", "avalanche-2"];
+
+// Newest listings, newest first, as `/coins/list/new` would report them.
+export const FIXTURE_RECENTLY_ADDED = [
+  { id: "pepe", activatedAt: FIXTURE_TIME - 2 * 86400000 },
+  { id: "shiba-inu", activatedAt: FIXTURE_TIME - 5 * 86400000 },
+  { id: "avalanche-2", activatedAt: FIXTURE_TIME - 9 * 86400000 },
+  { id: "polkadot", activatedAt: FIXTURE_TIME - 14 * 86400000 },
+];
+
+// Exchanges quoted in the mock coin detail tickers, with their trust score.
+export const FIXTURE_EXCHANGES = [
+  { id: "binance", name: "Binance", trust: "green" },
+  { id: "gdax", name: "Coinbase Exchange", trust: "green" },
+  { id: "kraken", name: "Kraken", trust: "green" },
+  { id: "okex", name: "OKX", trust: "green" },
+  { id: "bybit_spot", name: "Bybit", trust: "green" },
+  { id: "kucoin", name: "KuCoin", trust: "yellow" },
+  { id: "gate", name: "Gate", trust: "yellow" },
+  { id: "mexc", name: "MEXC", trust: "red" },
+];
@@ -0,0 +1,225 @@
+// src/api/index.js
+// Single entry point for market data. UI code imports from here and never
+// talks to a vendor directly; the active provider is chosen by env config.
+//
+//   VITE_DATA_PROVIDER  "coingecko" (default) or "mock" for offline fixtures
+//   VITE_API_BASE       CoinGecko base URL (public or pro host)
+//   VITE_API_KEY        CoinGecko API key, sent as a request header
+
+import { cachedRequest } from "./cache";
+import { withRetry } from "./retry";
+import { saveSnapshot } from "./snapshot";
+import { ApiError } from "./errors";
+import createCoinGeckoProvider from "./providers/coingecko";
+import createMockProvider from "./providers/mock";
+
+export { ApiError, isAbortError } from "./errors";
+export { cachedAt, invalidate } from "./cache";
+export { loadSnapshot } from "./snapshot";
+
+/**
+ * @typedef {Object} MarketDataProvider
+ * @property {string} name
+ * @property {(opts?: { page?: number, perPage?: number, vsCurrency?: string, category?: string, signal?: AbortSignal }) => Promise<Object[]>} getMarkets
+ *   Coins ordered by market cap, CoinGecko `/coins/markets` shape, optionally
+ *   restricted to one category id.
+ * @property {(ids: string[], opts?: { vsCurrency?: string, signal?: AbortSignal }) => Promise<Object[]>} getMarketsByIds
+ *   Market rows for specific coins regardless of rank.
+ * @property {(opts?: { signal?: AbortSignal }) => Promise<Object[]>} getCategories
+ *   Categories with USD market data, as in `/coins/categories`.
+ * @property {(query: string, opts?: { signal?: AbortSignal }) => Promise<Object[]>} searchCoins
+ *   Coins matching a name or symbol across the whole market, each
+ *   `{ id, name, symbol, market_cap_rank, thumb }` as in `/search`.
+ * @property {(opts?: { signal?: AbortSignal }) => Promise<Object[]>} getTrending
+ *   Trending entries, each `{ item }` as in `/search/trending`.
+ * @property {(opts?: { signal?: AbortSignal }) => Promise<Object[]>} getRecentlyAdded
+ *   Newest listings `{ id, symbol, name, activated_at }`, as in `/coins/list/new`.
+ * @property {(id: string, opts?: { signal?: AbortSignal }) => Promise<Object>} getCoinDetail
+ *   Single coin with `market_data`, `description`, `links` and `tickers`, as
+ *   in `/coins/{id}`.
+ * @property {(id: string, opts?: { page?: number, signal?: AbortSignal }) => Promise<Object[]>} getTickers
+ *   One page (100 rows, highest volume first) of the coin's exchange
+ *   tickers, as in `/coins/{id}/tickers`; page 1 matches `getCoinDetail`'s.
+ * @property {(id: string, opts?: { vsCurrency?: string, days?: number|string, signal?: AbortSignal }) => Promise<{ prices: number[][], market_caps: number[][], total_volumes: number[][] }>} getHistory
+ *   `[timestamp, value]` series, as in `/coins/{id}/market_chart`.
+ * @property {(opts?: { signal?: AbortSignal }) => Promise<Object>} getGlobal
+ *   Whole-market totals, the `data` object of `/global`.
+ * @property {(opts?: { vsCurrency?: string, days?: number|string, signal?: AbortSignal }) => Promise<{ market_caps: number[][], total_volumes: number[][] }>} getGlobalHistory
+ *   Total market cap and volume `[timestamp, value]` series.
+ * @property {(opts?: { signal?: AbortSignal }) => Promise<Object<string, number>>} getExchangeRates
+ *   Units of each currency per 1 BTC, keyed by `vs_currency` id.
+ */
+
+const env = import.meta.env;
+
+function createProvider() {
+  switch (env.VITE_DATA_PROVIDER) {
+    case "mock":
+      return createMockProvider();
+    case "coingecko":
+    case undefined:
+    case "":
+      return createCoinGeckoProvider({
+        baseUrl: env.VITE_API_BASE || undefined,
+        apiKey: env.VITE_API_KEY && env.VITE_API_KEY !== "your_api_key_here" ? env.VITE_API_KEY : undefined,
+      });
+    default:
+      throw new Error(`Unknown VITE_DATA_PROVIDER "${env.VITE_DATA_PROVIDER}"`);
+  }
+}
+
+/** @type {MarketDataProvider} */
+export const provider = createProvider();
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Freshness per endpoint. Markets move fastest; trending and long-range
+// history barely change within a session.
+export const TTL = {
+  markets: 60 * SECOND,
+  trending: 5 * MINUTE,
+  coinDetail: 2 * MINUTE,
+  historyShort: 5 * MINUTE,
+  historyLong: 30 * MINUTE,
+  exchangeRates: 10 * MINUTE,
+  categories: 10 * MINUTE,
+  global: 5 * MINUTE,
+  recentlyAdded: 10 * MINUTE,
+  search: 5 * MINUTE,
+};
+
+// Every request goes through the shared cache (dedup + TTL) and the retry
+// policy. `force` skips a fresh cache entry; with stale-while-revalidate a
+// failed forced refresh still resolves to the last good response. With
+// `persist`, each successful network response is also written to the
+// IndexedDB snapshot store under the same key (see loadSnapshot).
+function request(key, call, { ttl, signal, force, staleWhileRevalidate = true, persist = false }) {
+  const fetcher = persist
+    ? () => withRetry(call).then((data) => {
+        saveSnapshot(key, data);
+        return data;
+      })
+    : () => withRetry(call);
+  return cachedRequest(key, fetcher, { ttl, signal, force, staleWhileRevalidate });
+}
+
+// Endpoints the configured API plan does not include, learned from a 401/403
+// and remembered for the session so polling stops asking for them.
+const unsupported = new Set();
+
+export function isUnsupported(endpoint) {
+  return unsupported.has(endpoint);
+}
+
+function planLimited(endpoint, call) {
+  if (unsupported.has(endpoint)) {
+    return Promise.reject(new ApiError(403, "Not available on this API plan"));
+  }
+  return call().catch((err) => {
+    if (err?.status === 401 || err?.status === 403) unsupported.add(endpoint);
+    throw err;
+  });
+}
+
+export function marketsKey({ page = 1, per_page = 50, vs_currency = "usd", category = "" } = {}) {
+  return `markets:${vs_currency}:${category}:${per_page}:${page}`;
+}
+
+export function fetchMarkets({ page = 1, per_page = 50, vs_currency = "usd", category, signal, force } = {}) {
+  return request(
+    marketsKey({ page, per_page, vs_currency, category }),
+    () => provider.getMarkets({ page, perPage: per_page, vsCurrency: vs_currency, category: category || undefined }),
+    // only the first page is needed to paint the table on startup
+    { ttl: TTL.markets, signal, force, persist: page === 1 },
+  );
+}
+
+// Pass `staleWhileRevalidate: false` with `force` when a failure must reject
+// instead of resolving to the cached rows, as the live poll does.
+export function fetchMarketsByIds(ids, { vs_currency = "usd", signal, force, staleWhileRevalidate } = {}) {
+  if (!ids.length) return Promise.resolve([]);
+  const sortedIds = [...ids].sort();
+  return request(
+    `marketsByIds:${vs_currency}:${sortedIds.join(",")}`,
+    () => provider.getMarketsByIds(sortedIds, { vsCurrency: vs_currency }),
+    { ttl: TTL.markets, signal, force, staleWhileRevalidate },
+  );
+}
+
+export function fetchCategories(signal, { force } = {}) {
+  return request("categories", () => provider.getCategories(), { ttl: TTL.categories, signal, force });
+}
+
+export function fetchSearch(query, signal, { force } = {}) {
+  const q = query.trim().toLowerCase();
+  if (!q) return Promise.resolve([]);
+  return request(`search:${q}`, () => provider.searchCoins(q), { ttl: TTL.search, signal, force });
+}
+
+export const TRENDING_KEY = "trending";
+
+export function fetchTrending(signal, { force } = {}) {
+  return request(TRENDING_KEY, () => provider.getTrending(), { ttl: TTL.trending, signal, force, persist: true });
+}
+
+export function fetchRecentlyAdded(signal, { force } = {}) {
+  return request("recentlyAdded", () => provider.getRecentlyAdded(), { ttl: TTL.recentlyAdded, signal, force });
+}
+
+export function coinDetailKey(id) {
+  return `coin:${id}`;
+}
+
+export function fetchCoinDetail(id, signal, { force } = {}) {
+  return request(coinDetailKey(id), () => provider.getCoinDetail(id), { ttl: TTL.coinDetail, signal, force, persist: true });
+}
+
+// Page size of fetchTickers; a shorter page means it was the last one.
+export const TICKERS_PER_PAGE = 100;
+
+// Page 1 is the same set fetchCoinDetail embeds as `tickers`.
+export function fetchTickers(id, { page = 1, signal, force } = {}) {
+  return request(`tickers:${id}:${page}`, () => provider.getTickers(id, { page }), { ttl: TTL.coinDetail, signal, force });
+}
+
+// CoinGecko's public and demo plans refuse history past 365 days; see
+// isUnsupported("fullHistory").
+const MAX_FREE_HISTORY_DAYS = 365;
+
+export function fetchHistory(id, { vs_currency = "usd", days = 7, signal, force } = {}) {
+  const ttl = days === "max" || Number(days) > 1 ? TTL.historyLong : TTL.historyShort;
+  const load = () => request(
+    `history:${id}:${vs_currency}:${days}`,
+    () => provider.getHistory(id, { vsCurrency: vs_currency, days }),
+    { ttl, signal, force },
+  );
+  return exceedsFreeHistory(days) ? planLimited("fullHistory", load) : load();
+}
+
+function exceedsFreeHistory(days) {
+  return days === "max" || Number(days) > MAX_FREE_HISTORY_DAYS;
+}
+
+// Whether a `days` window is known to be refused by the configured plan, so
+// range pickers can disable it.
+export function isHistoryUnsupported(days) {
+  return exceedsFreeHistory(days) && isUnsupported("fullHistory");
+}
+
+export function fetchGlobal(signal, { force } = {}) {
+  return request("global", () => provider.getGlobal(), { ttl: TTL.global, signal, force });
+}
+
+// Paid-plan only on CoinGecko; see isUnsupported("globalHistory").
+export function fetchGlobalHistory({ vs_currency = "usd", days = 7, signal, force } = {}) {
+  return planLimited("globalHistory", () => request(
+    `globalHistory:${vs_currency}:${days}`,
+    () => provider.getGlobalHistory({ vsCurrency: vs_currency, days }),
+    { ttl: TTL.historyLong, signal, force },
+  ));
+}
+
+export function fetchExchangeRates(signal, { force } = {}) {
+  return request("exchangeRates", () => provider.getExchangeRates(), { ttl: TTL.exchangeRates, signal, force });
+}
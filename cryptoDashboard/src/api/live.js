@@ -0,0 +1,101 @@
+// src/api/live.js
+// Live market updates. A source pushes batches of market rows (full
+// `/coins/markets` rows or partial `{ id, current_price, ... }` patches) to
+// its subscriber; the UI merges them into what it already shows. Polling is
+// the built-in source; a websocket feed only has to implement `subscribe`.
+
+// Polling intervals offered in the UI, in milliseconds.
+export const REFRESH_INTERVALS = [
+  { value: 15000, label: "15s" },
+  { value: 30000, label: "30s" },
+  { value: 60000, label: "1m" },
+  { value: 300000, label: "5m" },
+];
+
+export const DEFAULT_REFRESH_INTERVAL = 60000;
+
+/**
+ * @typedef {Object} LiveSource
+ * @property {(onData: (rows: Object[]) => void, onError?: (err: Error) => void) => () => void} subscribe
+ *   Starts delivering updates and returns an unsubscribe function.
+ */
+
+/**
+ * Polls `load` every `interval` ms. While the tab is hidden the interval is
+ * stretched by `hiddenBackoff` so background tabs don't burn the rate limit;
+ * becoming visible again triggers an immediate refresh.
+ *
+ * @param {{ load: () => Promise<Object[]>, interval: number, hiddenBackoff?: number }} opts
+ * @returns {LiveSource}
+ */
+export function createPollingSource({ load, interval, hiddenBackoff = 5 }) {
+  return {
+    subscribe(onData, onError = () => {}) {
+      let timer = null;
+      let stopped = false;
+
+      const delay = () => (document.hidden ? interval * hiddenBackoff : interval);
+
+      function schedule(ms) {
+        clearTimeout(timer);
+        timer = setTimeout(tick, ms);
+      }
+
+      async function tick() {
+        try {
+          const rows = await load();
+          if (!stopped) onData(rows);
+        } catch (err) {
+          if (!stopped) onError(err);
+        }
+        if (!stopped) schedule(delay());
+      }
+
+      function onVisibility() {
+        // hidden: the pending timer keeps its slot and the next one is
+        // stretched; visible: catch up right away
+        if (!document.hidden) schedule(0);
+      }
+
+      document.addEventListener("visibilitychange", onVisibility);
+      schedule(delay());
+
+      return () => {
+        stopped = true;
+        clearTimeout(timer);
+        document.removeEventListener("visibilitychange", onVisibility);
+      };
+    },
+  };
+}
+
+/**
+ * Merges an update batch into the current rows without reordering them.
+ * Returns the new rows plus, per coin id, which direction `current_price` and
+ * `price_change_percentage_24h` moved (only for fields that changed).
+ */
+export function mergeMarketRows(prev, updates) {
+  const byId = new Map(updates.map((u) => [u.id, u]));
+  const changes = {};
+  const seen = new Set();
+  const rows = prev.map((row) => {
+    seen.add(row.id);
+    const update = byId.get(row.id);
+    if (!update) return row;
+    const diff = {};
+    for (const field of ["current_price", "price_change_percentage_24h"]) {
+      const before = row[field];
+      const after = update[field];
+      if (typeof before === "number" && typeof after === "number" && after !== before) {
+        diff[field] = after > before ? "up" : "down";
+      }
+    }
+    if (Object.keys(diff).length) changes[row.id] = diff;
+    return { ...row, ...update };
+  });
+  // coins that climbed into the loaded range since the last refresh
+  for (const update of updates) {
+    if (!seen.has(update.id) && update.name) rows.push(update);
+  }
+  return { rows, changes };
+}
@@ -0,0 +1,125 @@
+// src/api/providers/coingecko.js
+// CoinGecko implementation of the market-data provider interface.
+import { ApiError, parseRetryAfter } from "../errors";
+
+const DEFAULT_BASE = "https://api.coingecko.com/api/v3";
+
+// Extra change windows requested with every markets call; they arrive as
+// `price_change_percentage_<window>_in_currency` fields.
+const CHANGE_WINDOWS = "1h,24h,7d,14d,30d,1y";
+
+// Demo keys go to the public host, pro keys to pro-api; each has its own header.
+function keyHeader(baseUrl) {
+  return baseUrl.includes("pro-api.coingecko.com") ? "x-cg-pro-api-key" : "x-cg-demo-api-key";
+}
+
+/**
+ * @param {{ baseUrl?: string, apiKey?: string }} [config]
+ * @returns {import("../index").MarketDataProvider}
+ */
+export default function createCoinGeckoProvider({ baseUrl = DEFAULT_BASE, apiKey } = {}) {
+  const base = baseUrl.replace(/\/+$/, "");
+  const headers = apiKey ? { [keyHeader(base)]: apiKey } : {};
+
+  async function get(path, params = {}, signal) {
+    const url = new URL(`${base}${path}`);
+    Object.entries(params).forEach(([k, v]) => {
+      if (v !== undefined && v !== null) url.searchParams.set(k, String(v));
+    });
+    const res = await fetch(url.toString(), { signal, headers });
+    if (!res.ok) {
+      throw new ApiError(res.status, res.statusText, { retryAfter: parseRetryAfter(res.headers.get("Retry-After")) });
+    }
+    return res.json();
+  }
+
+  return {
+    name: "coingecko",
+
+    getMarkets({ page = 1, perPage = 50, vsCurrency = "usd", category, signal } = {}) {
+      return get("/coins/markets", {
+        vs_currency: vsCurrency,
+        category,
+        order: "market_cap_desc",
+        per_page: perPage,
+        page,
+        sparkline: true,
+        price_change_percentage: CHANGE_WINDOWS,
+      }, signal);
+    },
+
+    async getMarketsByIds(ids, { vsCurrency = "usd", signal } = {}) {
+      // the endpoint pages at 250 rows, so larger id lists go in chunks
+      const chunks = [];
+      for (let i = 0; i < ids.length; i += 250) chunks.push(ids.slice(i, i + 250));
+      const pages = await Promise.all(chunks.map((chunk) => get("/coins/markets", {
+        vs_currency: vsCurrency,
+        ids: chunk.join(","),
+        per_page: chunk.length,
+        sparkline: true,
+        price_change_percentage: CHANGE_WINDOWS,
+      }, signal)));
+      return pages.flat();
+    },
+
+    getCategories({ signal } = {}) {
+      return get("/coins/categories", { order: "market_cap_desc" }, signal);
+    },
+
+    async searchCoins(query, { signal } = {}) {
+      const data = await get("/search", { query }, signal);
+      return data.coins || [];
+    },
+
+    async getTrending({ signal } = {}) {
+      const data = await get("/search/trending", {}, signal);
+      return data.coins || [];
+    },
+
+    // paid API plans only; public callers get an ApiError they can treat as
+    // "not available"
+    getRecentlyAdded({ signal } = {}) {
+      return get("/coins/list/new", {}, signal);
+    },
+
+    getCoinDetail(id, { signal } = {}) {
+      // skip translations and community/developer stats; tickers feed the
+      // exchanges table (the first 100 markets by volume)
+      return get(`/coins/${encodeURIComponent(id)}`, {
+        localization: false,
+        tickers: true,
+        market_data: true,
+        community_data: false,
+        developer_data: false,
+        sparkline: true,
+      }, signal);
+    },
+
+    async getTickers(id, { page = 1, signal } = {}) {
+      const data = await get(`/coins/${encodeURIComponent(id)}/tickers`, { page, order: "volume_desc" }, signal);
+      return data.tickers || [];
+    },
+
+    getHistory(id, { vsCurrency = "usd", days = 7, signal } = {}) {
+      return get(`/coins/${encodeURIComponent(id)}/market_chart`, { vs_currency: vsCurrency, days }, signal);
+    },
+
+    async getGlobal({ signal } = {}) {
+      const data = await get("/global", {}, signal);
+      return data.data;
+    },
+
+    // `/global/market_cap_chart` needs a paid API plan; on the public API it
+    // fails and callers fall back to showing figures without a chart.
+    async getGlobalHistory({ vsCurrency = "usd", days = 7, signal } = {}) {
+      const data = await get("/global/market_cap_chart", { vs_currency: vsCurrency, days }, signal);
+      const chart = data.market_cap_chart || {};
+      return { market_caps: chart.market_cap || [], total_volumes: chart.volume || [] };
+    },
+
+    async getExchangeRates({ signal } = {}) {
+      const data = await get("/exchange_rates", {}, signal);
+      return Object.fromEntries(Object.entries(data.rates || {}).map(([k, r]) => [k, r.value]));
+    },
+  };
+}
@@ -0,0 +1,336 @@
+// src/api/providers/mock.js
+// Offline provider backed by ./fixtures. Responses mirror the CoinGecko
+// payload shapes the UI reads, so components cannot tell the difference.
+import { ApiError } from "../errors";
+import { FIXTURE_CATEGORIES, FIXTURE_COINS, FIXTURE_EXCHANGES, FIXTURE_GLOBAL, FIXTURE_RATES, FIXTURE_RECENTLY_ADDED, FIXTURE_TIME, FIXTURE_TRENDING } from "../fixtures";
+
+const IMAGE = "/vite.svg";
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// page size of `/coins/{id}/tickers`, and the number embedded in `/coins/{id}`
+const TICKERS_PER_PAGE = 100;
+
+// Deterministic PRNG so sparklines and history are stable between runs.
+function seeded(seedText) {
+  let seed = 0;
+  for (const ch of seedText) seed = (seed * 31 + ch.charCodeAt(0)) >>> 0;
+  return () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 2 ** 32;
+  };
+}
+
+// Random walk of `points` prices ending exactly at `last`.
+function walk(id, points, last, volatility = 0.02) {
+  const rand = seeded(`${id}:${points}`);
+  const out = new Array(points);
+  out[points - 1] = last;
+  for (let i = points - 2; i >= 0; i--) {
+    out[i] = out[i + 1] * (1 + (rand() - 0.5) * volatility);
+  }
+  return out;
+}
+
+function rate(vsCurrency) {
+  const r = FIXTURE_RATES[vsCurrency];
+  if (r === undefined) throw new Error(`Mock provider: unsupported currency "${vsCurrency}"`);
+  return r;
+}
+
+function findCoin(id) {
+  const coin = FIXTURE_COINS.find((c) => c.id === id);
+  if (!coin) throw new ApiError(404, "Not Found");
+  return coin;
+}
+
+// Derived from the 7d walk for short windows; longer ones are scaled guesses
+// that keep sign and rough magnitude plausible.
+function changeWindows(coin, spark) {
+  const pct = (from) => ((spark[spark.length - 1] - from) / from) * 100;
+  return {
+    price_change_percentage_1h_in_currency: pct(spark[spark.length - 2]),
+    price_change_percentage_24h_in_currency: coin.change24h,
+    price_change_percentage_7d_in_currency: pct(spark[0]),
+    price_change_percentage_14d_in_currency: pct(spark[0]) * 1.6,
+    price_change_percentage_30d_in_currency: pct(spark[0]) * 2.9,
+    price_change_percentage_1y_in_currency: coin.change24h * 18,
+  };
+}
+
+function toMarket(coin, rank, fx) {
+  const spark = walk(coin.id, 168, coin.price * fx);
+  const ath = coin.price * fx * 1.35;
+  const atl = coin.price * fx * 0.004;
+  return {
+    id: coin.id,
+    symbol: coin.symbol,
+    name: coin.name,
+    image: IMAGE,
+    current_price: coin.price * fx,
+    market_cap: coin.marketCap * fx,
+    market_cap_rank: rank,
+    total_volume: coin.volume * fx,
+    price_change_percentage_24h: coin.change24h,
+    circulating_supply: coin.supply,
+    total_supply: coin.maxSupply || coin.supply,
+    max_supply: coin.maxSupply,
+    fully_diluted_valuation: (coin.maxSupply || coin.supply) * coin.price * fx,
+    ath,
+    ath_change_percentage: ((coin.price * fx - ath) / ath) * 100,
+    atl,
+    atl_change_percentage: ((coin.price * fx - atl) / atl) * 100,
+    ...changeWindows(coin, spark),
+    last_updated: new Date(FIXTURE_TIME).toISOString(),
+    sparkline_in_7d: { price: spark },
+  };
+}
+
+function mapRates(usdValue) {
+  return Object.fromEntries(Object.entries(FIXTURE_RATES).map(([k, fx]) => [k, usdValue * fx]));
+}
+
+// Currency-independent values (percentages) keyed like mapRates.
+function perCurrency(value) {
+  return Object.fromEntries(Object.keys(FIXTURE_RATES).map((k) => [k, value]));
+}
+
+// Tickers for `coin` on every fixture exchange against a few quote assets,
+// shaped like the `tickers` array of `/coins/{id}`.
+function mockTickers(coin) {
+  const rand = seeded(`${coin.id}:tickers`);
+  const quotes = ["USDT", "USD", "EUR", "BTC"].filter((q) => q.toLowerCase() !== coin.symbol);
+  const tickers = [];
+  for (const ex of FIXTURE_EXCHANGES) {
+    for (const target of quotes) {
+      if (rand() < 0.35) continue;
+      const usd = coin.price * (1 + (rand() - 0.5) * 0.004);
+      const fx = target === "EUR" ? FIXTURE_RATES.eur : target === "BTC" ? FIXTURE_RATES.btc : 1;
+      const volumeUsd = coin.volume * rand() * 0.08;
+      tickers.push({
+        base: coin.symbol.toUpperCase(),
+        target,
+        market: { name: ex.name, identifier: ex.id, has_trading_incentive: false },
+        last: usd * fx,
+        volume: volumeUsd / usd,
+        converted_last: { btc: usd * FIXTURE_RATES.btc, eth: usd * FIXTURE_RATES.eth, usd },
+        converted_volume: { btc: volumeUsd * FIXTURE_RATES.btc, eth: volumeUsd * FIXTURE_RATES.eth, usd: volumeUsd },
+        trust_score: ex.trust,
+        bid_ask_spread_percentage: 0.01 + rand() * (ex.trust === "green" ? 0.1 : 0.8),
+        timestamp: new Date(FIXTURE_TIME).toISOString(),
+        is_anomaly: false,
+        is_stale: false,
+        trade_url: `https://example.com/${ex.id}/trade/${coin.symbol}_${target.toLowerCase()}`,
+        coin_id: coin.id,
+      });
+    }
+  }
+  return tickers.sort((a, b) => b.converted_volume.usd - a.converted_volume.usd);
+}
+
+function abortable(value, signal) {
+  if (signal?.aborted) return Promise.reject(new DOMException("Aborted", "AbortError"));
+  return Promise.resolve(value);
+}
+
+/** @returns {import("../index").MarketDataProvider} */
+export default function createMockProvider() {
+  const ranked = [...FIXTURE_COINS].sort((a, b) => b.marketCap - a.marketCap);
+
+  return {
+    name: "mock",
+
+    getMarkets({ page = 1, perPage = 50, vsCurrency = "usd", category, signal } = {}) {
+      const fx = rate(vsCurrency);
+      const members = category ? FIXTURE_CATEGORIES.find((c) => c.id === category)?.coins || [] : null;
+      const pool = ranked
+        .map((coin, i) => ({ coin, rank: i + 1 }))
+        .filter(({ coin }) => !members || members.includes(coin.id));
+      const start = (page - 1) * perPage;
+      const rows = pool.slice(start, start + perPage).map(({ coin, rank }) => toMarket(coin, rank, fx));
+      return abortable(rows, signal);
+    },
+
+    getMarketsByIds(ids, { vsCurrency = "usd", signal } = {}) {
+      const fx = rate(vsCurrency);
+      const rows = ranked
+        .map((c, i) => ({ coin: c, rank: i + 1 }))
+        .filter(({ coin }) => ids.includes(coin.id))
+        .map(({ coin, rank }) => toMarket(coin, rank, fx));
+      return abortable(rows, signal);
+    },
+
+    getCategories({ signal } = {}) {
+      const rows = FIXTURE_CATEGORIES.map((cat) => {
+        const members = ranked.filter((c) => cat.coins.includes(c.id));
+        const marketCap = members.reduce((s, c) => s + c.marketCap, 0);
+        const before = members.reduce((s, c) => s + c.marketCap / (1 + c.change24h / 100), 0);
+        return {
+          id: cat.id,
+          name: cat.name,
+          market_cap: marketCap,
+          market_cap_change_24h: before ? ((marketCap - before) / before) * 100 : null,
+          volume_24h: members.reduce((s, c) => s + c.volume, 0),
+          top_3_coins: members.slice(0, 3).map(() => IMAGE),
+          top_3_coins_id: members.slice(0, 3).map((c) => c.id),
+          updated_at: new Date(FIXTURE_TIME).toISOString(),
+        };
+      });
+      rows.sort((a, b) => b.market_cap - a.market_cap);
+      return abortable(rows, signal);
+    },
+
+    searchCoins(query, { signal } = {}) {
+      const q = query.toLowerCase();
+      const rows = ranked
+        .filter((c) => c.name.toLowerCase().includes(q) || c.symbol.includes(q) || c.id.includes(q))
+        .map((c) => ({ id: c.id, name: c.name, symbol: c.symbol.toUpperCase(), market_cap_rank: ranked.indexOf(c) + 1, thumb: IMAGE, large: IMAGE }));
+      return abortable(rows, signal);
+    },
+
+    getTrending({ signal } = {}) {
+      const coins = FIXTURE_TRENDING.map((id, score) => {
+        const coin = findCoin(id);
+        return {
+          item: {
+            id: coin.id,
+            coin_id: ranked.indexOf(coin) + 1,
+            name: coin.name,
+            symbol: coin.symbol,
+            market_cap_rank: ranked.indexOf(coin) + 1,
+            thumb: IMAGE,
+            small: IMAGE,
+            large: IMAGE,
+            price_btc: coin.price * FIXTURE_RATES.btc,
+            score,
+            data: { price: coin.price, price_change_percentage_24h: { usd: coin.change24h } },
+          },
+        };
+      });
+      return abortable(coins, signal);
+    },
+
+    getRecentlyAdded({ signal } = {}) {
+      const rows = FIXTURE_RECENTLY_ADDED.map(({ id, activatedAt }) => {
+        const coin = findCoin(id);
+        return { id: coin.id, symbol: coin.symbol, name: coin.name, activated_at: Math.floor(activatedAt / 1000) };
+      });
+      return abortable(rows, signal);
+    },
+
+    getCoinDetail(id, { signal } = {}) {
+      const coin = findCoin(id);
+      const market = toMarket(coin, ranked.indexOf(coin) + 1, 1);
+      const detail = {
+        id: coin.id,
+        symbol: coin.symbol,
+        name: coin.name,
+        image: { thumb: IMAGE, small: IMAGE, large: IMAGE },
+        market_cap_rank: ranked.indexOf(coin) + 1,
+        description: {
+          en: `${coin.name} (${coin.symbol.toUpperCase()}) is a fixture coin served by the offline provider.\r\n\r\nIts figures are a static snapshot; see <a href="https://example.com/${coin.id}">the project site</a> for the real thing.`,
+        },
+        links: {
+          homepage: [`https://example.com/${coin.id}`, "", ""],
+          whitepaper: `https://example.com/${coin.id}/whitepaper.pdf`,
+          blockchain_site: [`https://explorer.example.com/${coin.id}`, `https://scan.example.org/${coin.id}`, ""],
+          official_forum_url: [`https://forum.example.com/${coin.id}`],
+          chat_url: [`https://discord.example.com/${coin.id}`],
+          announcement_url: ["", ""],
+          twitter_screen_name: coin.id,
+          facebook_username: "",
+          telegram_channel_identifier: coin.id,
+          subreddit_url: `https://www.reddit.com/r/${coin.id}`,
+          repos_url: { github: [`https://github.com/example/${coin.id}`], bitbucket: [] },
+        },
+        market_data: {
+          current_price: mapRates(coin.price),
+          high_24h: mapRates(coin.price * 1.03),
+          low_24h: mapRates(coin.price * 0.96),
+          market_cap: mapRates(coin.marketCap),
+          total_volume: mapRates(coin.volume),
+          fully_diluted_valuation: mapRates(market.fully_diluted_valuation),
+          price_change_percentage_1h_in_currency: perCurrency(market.price_change_percentage_1h_in_currency),
+          price_change_percentage_24h: coin.change24h,
+          price_change_percentage_7d: market.price_change_percentage_7d_in_currency,
+          price_change_percentage_14d: market.price_change_percentage_14d_in_currency,
+          price_change_percentage_30d: market.price_change_percentage_30d_in_currency,
+          price_change_percentage_1y: market.price_change_percentage_1y_in_currency,
+          ath: mapRates(market.ath),
+          ath_change_percentage: perCurrency(market.ath_change_percentage),
+          ath_date: perCurrency(new Date(FIXTURE_TIME - 40 * DAY).toISOString()),
+          atl: mapRates(market.atl),
+          atl_change_percentage: perCurrency(market.atl_change_percentage),
+          atl_date: perCurrency(new Date(FIXTURE_TIME - 2900 * DAY).toISOString()),
+          circulating_supply: coin.supply,
+          total_supply: market.total_supply,
+          max_supply: coin.maxSupply,
+          sparkline_7d: { price: walk(coin.id, 168, coin.price) },
+        },
+        tickers: mockTickers(coin).slice(0, TICKERS_PER_PAGE),
+        last_updated: new Date(FIXTURE_TIME).toISOString(),
+      };
+      return abortable(detail, signal);
+    },
+
+    getTickers(id, { page = 1, signal } = {}) {
+      const start = (page - 1) * TICKERS_PER_PAGE;
+      return abortable(mockTickers(findCoin(id)).slice(start, start + TICKERS_PER_PAGE), signal);
+    },
+
+    getHistory(id, { vsCurrency = "usd", days = 7, signal } = {}) {
+      const coin = findCoin(id);
+      const fx = rate(vsCurrency);
+      const span = days === "max" ? 365 * 5 : Number(days);
+      // CoinGecko granularity: 5-minutely for 1 day, hourly up to 90, daily beyond
+      const step = span <= 1 ? HOUR / 12 : span <= 90 ? HOUR : DAY;
+      const points = Math.max(2, Math.round((span * DAY) / step) + 1);
+      const prices = walk(coin.id, points, coin.price * fx, step === DAY ? 0.06 : 0.01);
+      const volumes = walk(`${coin.id}:vol`, points, coin.volume * fx, 0.2);
+      const ts = (i) => FIXTURE_TIME - (points - 1 - i) * step;
+      return abortable({
+        prices: prices.map((p, i) => [ts(i), p]),
+        market_caps: prices.map((p, i) => [ts(i), p * coin.supply]),
+        total_volumes: volumes.map((v, i) => [ts(i), v]),
+      }, signal);
+    },
+
+    getGlobal({ signal } = {}) {
+      const marketCap = FIXTURE_COINS.reduce((s, c) => s + c.marketCap, FIXTURE_GLOBAL.otherMarketCap);
+      const before = FIXTURE_COINS.reduce((s, c) => s + c.marketCap / (1 + c.change24h / 100), FIXTURE_GLOBAL.otherMarketCap);
+      const volume = FIXTURE_COINS.reduce((s, c) => s + c.volume, FIXTURE_GLOBAL.otherVolume);
+      const share = (id) => (findCoin(id).marketCap / marketCap) * 100;
+      return abortable({
+        active_cryptocurrencies: FIXTURE_GLOBAL.activeCryptocurrencies,
+        markets: FIXTURE_GLOBAL.markets,
+        total_market_cap: mapRates(marketCap),
+        total_volume: mapRates(volume),
+        market_cap_percentage: { btc: share("bitcoin"), eth: share("ethereum") },
+        market_cap_change_percentage_24h_usd: ((marketCap - before) / before) * 100,
+        updated_at: Math.floor(FIXTURE_TIME / 1000),
+      }, signal);
+    },
+
+    getGlobalHistory({ vsCurrency = "usd", days = 7, signal } = {}) {
+      const fx = rate(vsCurrency);
+      const marketCap = FIXTURE_COINS.reduce((s, c) => s + c.marketCap, FIXTURE_GLOBAL.otherMarketCap);
+      const volume = FIXTURE_COINS.reduce((s, c) => s + c.volume, FIXTURE_GLOBAL.otherVolume);
+      const span = days === "max" ? 365 * 5 : Number(days);
+      const step = span <= 90 ? HOUR : DAY;
+      const points = Math.max(2, Math.round((span * DAY) / step) + 1);
+      const caps = walk(`global:${span}`, points, marketCap * fx, 0.008);
+      const vols = walk(`global:vol:${span}`, points, volume * fx, 0.1);
+      const ts = (i) => FIXTURE_TIME - (points - 1 - i) * step;
+      return abortable({
+        market_caps: caps.map((v, i) => [ts(i), v]),
+        total_volumes: vols.map((v, i) => [ts(i), v]),
+      }, signal);
+    },
+
+    getExchangeRates({ signal } = {}) {
+      const rates = Object.fromEntries(
+        Object.entries(FIXTURE_RATES).map(([k, fx]) => [k, fx / FIXTURE_RATES.btc]),
+      );
+      return abortable(rates, signal);
+    },
+  };
+}
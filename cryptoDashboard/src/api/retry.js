@@ -0,0 +1,50 @@
+// src/api/retry.js
+import { isAbortError } from "./errors";
+
+const DEFAULTS = { retries: 3, baseDelay: 1000, maxDelay: 30000 };
+
+// Rate limits, server errors and network failures are worth another try;
+// anything else (404, bad params) will fail the same way again.
+function isRetryable(err) {
+  if (isAbortError(err)) return false;
+  if (typeof err?.status === "number") return err.status === 429 || err.status >= 500;
+  return err instanceof TypeError; // fetch network failure
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(t);
+      reject(new DOMException("Aborted", "AbortError"));
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs `fn` and retries retryable failures with exponential backoff and full
+ * jitter. A server-provided Retry-After always wins over the computed delay.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {{ retries?: number, baseDelay?: number, maxDelay?: number, signal?: AbortSignal }} [opts]
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, opts = {}) {
+  const { retries, baseDelay, maxDelay, signal } = { ...DEFAULTS, ...opts };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const backoff = Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+      const delay = err.retryAfter != null ? Math.min(err.retryAfter, maxDelay) : backoff;
+      await sleep(delay, signal);
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { ApiError } from "./errors";
+import { withRetry } from "./retry";
+
+const FAST = { baseDelay: 1, maxDelay: 1 };
+
+describe("withRetry", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("retries rate limits, server errors and network failures", async () => {
+    const fn = vi.fn()
+      .mockRejectedValueOnce(new ApiError(429, "Too Many Requests"))
+      .mockRejectedValueOnce(new ApiError(503, "Service Unavailable"))
+      .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+      .mockResolvedValueOnce("ok");
+    expect(await withRetry(fn, FAST)).toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(4);
+  });
+
+  it("does not retry client errors", async () => {
+    const fn = vi.fn().mockRejectedValue(new ApiError(404, "Not Found"));
+    await expect(withRetry(fn, FAST)).rejects.toMatchObject({ status: 404 });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up after `retries` extra attempts", async () => {
+    const fn = vi.fn().mockRejectedValue(new ApiError(500, "Internal Server Error"));
+    await expect(withRetry(fn, { ...FAST, retries: 2 })).rejects.toMatchObject({ status: 500 });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  it("waits for the server's Retry-After", async () => {
+    vi.useFakeTimers();
+    const fn = vi.fn()
+      .mockRejectedValueOnce(new ApiError(429, "Too Many Requests", { retryAfter: 5000 }))
+      .mockResolvedValueOnce("ok");
+    const result = withRetry(fn, { baseDelay: 1, maxDelay: 30000 });
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(fn).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(await result).toBe("ok");
+  });
+
+  it("stops waiting when the signal aborts", async () => {
+    const controller = new AbortController();
+    const fn = vi.fn().mockRejectedValue(new ApiError(429, "Too Many Requests", { retryAfter: 60000 }));
+    const result = withRetry(fn, { maxDelay: 60000, signal: controller.signal });
+    controller.abort();
+    await expect(result).rejects.toMatchObject({ name: "AbortError" });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
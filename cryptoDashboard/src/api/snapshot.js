@@ -0,0 +1,56 @@
+// src/api/snapshot.js
+// Last-known responses kept in IndexedDB so the dashboard has something to
+// show on startup before (or instead of) the network. Unlike the in-memory
+// cache these survive a reload; every operation degrades to a no-op when
+// IndexedDB is unavailable (private mode, old browsers, tests).
+
+const DB_NAME = "cryptoDashboard";
+const DB_VERSION = 1;
+const STORE = "snapshots";
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function run(mode, operate) {
+  return openDb()
+    .then((db) => {
+      if (!db) return null;
+      return new Promise((resolve) => {
+        const tx = db.transaction(STORE, mode);
+        const req = operate(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req.result ?? null);
+        tx.onerror = () => resolve(null);
+        tx.onabort = () => resolve(null);
+      });
+    })
+    .catch(() => null);
+}
+
+/**
+ * Persist `data` under `key`, replacing any earlier snapshot.
+ * @returns {Promise<void>}
+ */
+export function saveSnapshot(key, data) {
+  return run("readwrite", (store) => store.put({ data, savedAt: Date.now() }, key)).then(() => undefined);
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<{ data: any, savedAt: number } | null>}
+ */
+export function loadSnapshot(key) {
+  return run("readonly", (store) => store.get(key));
+}
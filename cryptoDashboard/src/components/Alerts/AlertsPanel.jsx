@@ -0,0 +1,153 @@
+// src/components/Alerts/AlertsPanel.jsx
+import React, { useState } from "react";
+import { ALERT_TYPES, describeRule, SNOOZE_OPTIONS } from "../../utils/alerts";
+import { getCurrency } from "../../utils/currencies";
+import { color } from "../../utils/themes";
+
+function RuleForm({ coins, currency, onAdd }) {
+  const [coinId, setCoinId] = useState("");
+  const [type, setType] = useState("price_above");
+  const [threshold, setThreshold] = useState("");
+  const [recurring, setRecurring] = useState(false);
+  const [error, setError] = useState(null);
+
+  function submit(e) {
+    e.preventDefault();
+    const coin = coins.find((c) => c.id === coinId);
+    const value = Number(threshold);
+    if (!coin) return setError("Choose a coin.");
+    if (!(value > 0)) return setError("Threshold must be greater than zero.");
+    onAdd({ coinId: coin.id, coinName: coin.name, type, threshold: value, currency, recurring });
+    setThreshold("");
+    setError(null);
+  }
+
+  const unit = ALERT_TYPES.find((t) => t.id === type).unit;
+
+  return (
+    <form onSubmit={submit} style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+      <select value={coinId} onChange={(e) => setCoinId(e.target.value)} style={{ ...styles.input, minWidth: 160 }}>
+        <option value="">Coin…</option>
+        {coins.map((c) => <option key={c.id} value={c.id}>{c.name} ({c.symbol.toUpperCase()})</option>)}
+      </select>
+      <select value={type} onChange={(e) => setType(e.target.value)} style={styles.input}>
+        {ALERT_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+      </select>
+      <input
+        type="number"
+        step="any"
+        min="0"
+        placeholder={unit === "price" ? `Price (${getCurrency(currency).code})` : unit}
+        value={threshold}
+        onChange={(e) => setThreshold(e.target.value)}
+        style={styles.input}
+      />
+      <label style={{ display: "flex", gap: 4, alignItems: "center", fontSize: 14 }}>
+        <input type="checkbox" checked={recurring} onChange={(e) => setRecurring(e.target.checked)} />
+        Recurring
+      </label>
+      <button type="submit" style={styles.primary}>Add alert</button>
+      {error && <div style={{ color: color.down, width: "100%" }}>{error}</div>}
+    </form>
+  );
+}
+
+export default function AlertsPanel({ alerts, coins, currency }) {
+  const { rules, log, permission, evaluationError, requestPermission, addRule, updateRule, removeRule, snoozeRule, markAllRead, clearLog } = alerts;
+  const failedRules = new Set(evaluationError?.ruleIds || []);
+  const now = Date.now();
+
+  return (
+    <section style={{ marginTop: 16, display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+      <div style={styles.card}>
+        <h3 style={{ margin: "0 0 10px" }}>Alert rules</h3>
+        <RuleForm coins={coins} currency={currency} onAdd={addRule} />
+
+        {permission === "default" && (
+          <div style={styles.notice}>
+            Browser notifications are off. <button style={styles.link} onClick={requestPermission}>Enable</button>
+          </div>
+        )}
+        {(permission === "denied" || permission === "unsupported") && (
+          <div style={styles.notice}>Browser notifications are unavailable; triggers still appear in the log.</div>
+        )}
+
+        {evaluationError && (
+          <div style={{ ...styles.notice, color: color.danger }} role="alert">
+            {failedRules.size} {failedRules.size === 1 ? "rule" : "rules"} skipped at {new Date(evaluationError.at).toLocaleTimeString()}: market data failed to load ({evaluationError.message}).
+          </div>
+        )}
+
+        {rules.length === 0 && <div style={{ color: color.textMuted, marginTop: 12 }}>No alert rules yet.</div>}
+        <ul style={{ listStyle: "none", margin: "12px 0 0", padding: 0 }}>
+          {rules.map((r) => {
+            const snoozed = r.snoozedUntil && r.snoozedUntil > now;
+            return (
+              <li key={r.id} style={styles.rule}>
+                <div style={{ flex: 1, opacity: r.enabled ? 1 : 0.5 }}>
+                  <div style={{ fontWeight: 600 }}>{describeRule(r)}</div>
+                  <div style={{ fontSize: 12, color: color.textMuted }}>
+                    {r.recurring ? "Recurring" : "One-shot"}
+                    {r.lastTriggeredAt && ` · last fired ${new Date(r.lastTriggeredAt).toLocaleString()}`}
+                    {snoozed && ` · snoozed until ${new Date(r.snoozedUntil).toLocaleTimeString()}`}
+                    {failedRules.has(r.id) && <span style={{ color: color.danger }}> · not checked: data unavailable</span>}
+                  </div>
+                </div>
+                <label style={{ display: "flex", gap: 4, alignItems: "center", fontSize: 13 }}>
+                  <input type="checkbox" checked={r.enabled} onChange={(e) => updateRule(r.id, { enabled: e.target.checked, armed: true })} />
+                  On
+                </label>
+                <select
+                  value=""
+                  onChange={(e) => snoozeRule(r.id, Number(e.target.value))}
+                  style={{ ...styles.input, width: 100 }}
+                  title="Snooze"
+                >
+                  <option value="" disabled>Snooze…</option>
+                  {SNOOZE_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                  {snoozed && <option value={0}>Unsnooze</option>}
+                </select>
+                <button style={styles.remove} onClick={() => removeRule(r.id)} title="Delete rule">✕</button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      <div style={styles.card}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0 }}>Alert log</h3>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button style={styles.secondary} onClick={markAllRead} disabled={!log.some((e) => !e.read)}>Mark all read</button>
+            <button style={styles.secondary} onClick={clearLog} disabled={log.length === 0}>Clear</button>
+          </div>
+        </div>
+        {log.length === 0 && <div style={{ color: color.textMuted, marginTop: 12 }}>Nothing has triggered yet.</div>}
+        <ul style={{ listStyle: "none", margin: "12px 0 0", padding: 0 }}>
+          {log.map((e) => (
+            <li key={e.id} style={{ ...styles.rule, fontWeight: e.read ? 400 : 600 }}>
+              <div style={{ flex: 1 }}>
+                <div>{e.message}</div>
+                <div style={{ fontSize: 12, color: color.textMuted, fontWeight: 400 }}>{e.title} · {new Date(e.at).toLocaleString()}</div>
+              </div>
+              {rules.some((r) => r.id === e.ruleId) && (
+                <button style={styles.secondary} onClick={() => snoozeRule(e.ruleId, SNOOZE_OPTIONS[0].value)}>Snooze 1h</button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  card: { background: color.surface, borderRadius: 10, padding: 14, boxShadow: `0 1px 3px ${color.shadow}`, border: `1px solid ${color.borderSubtle}` },
+  input: { padding: "6px 8px", borderRadius: 8, border: `1px solid ${color.border}`, width: 130, background: color.surface },
+  primary: { padding: "6px 14px", borderRadius: 8, border: "none", background: color.accent, color: color.accentText, cursor: "pointer" },
+  secondary: { padding: "4px 10px", borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, cursor: "pointer", fontSize: 13 },
+  link: { border: "none", background: "transparent", color: color.info, cursor: "pointer", padding: 0 },
+  notice: { marginTop: 10, fontSize: 13, color: color.textMuted },
+  rule: { display: "flex", gap: 8, alignItems: "center", padding: "8px 0", borderBottom: `1px solid ${color.borderSubtle}` },
+  remove: { border: "none", background: "transparent", cursor: "pointer", color: color.textFaint },
+};
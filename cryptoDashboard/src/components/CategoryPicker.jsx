@@ -0,0 +1,65 @@
+// src/components/CategoryPicker.jsx
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import useCategories from "../hooks/useCategories";
+import { color } from "../utils/themes";
+
+// "Categories ▾" filter button with a searchable dropdown of categories.
+export default function CategoryPicker({ value, onChange, buttonStyle, activeButtonStyle }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const { categories, loading, error } = useCategories();
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    function onDocClick(e) {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", onDocClick);
+    return () => document.removeEventListener("mousedown", onDocClick);
+  }, [open]);
+
+  const matches = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return q ? categories.filter((c) => c.name.toLowerCase().includes(q)) : categories;
+  }, [categories, query]);
+
+  const current = categories.find((c) => c.id === value);
+
+  function choose(id) {
+    onChange(id);
+    setOpen(false);
+    setQuery("");
+  }
+
+  return (
+    <div ref={rootRef} style={{ position: "relative" }}>
+      <button style={value ? activeButtonStyle : buttonStyle} onClick={() => setOpen((o) => !o)}>
+        {current ? current.name : value || "Categories"} ▾
+      </button>
+      {open && (
+        <div style={styles.menu}>
+          <input autoFocus value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Find a category" style={styles.search} />
+          <div style={{ maxHeight: 300, overflowY: "auto", marginTop: 6 }}>
+            {value && <button style={styles.item} onClick={() => choose("")}>All categories</button>}
+            {loading && <div style={styles.note}>Loading categories…</div>}
+            {error && <div style={{ ...styles.note, color: color.danger }}>{error}</div>}
+            {!loading && matches.length === 0 && <div style={styles.note}>No matching categories</div>}
+            {matches.map((c) => (
+              <button key={c.id} style={{ ...styles.item, fontWeight: c.id === value ? 700 : 400 }} onClick={() => choose(c.id)}>
+                {c.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  menu: { position: "absolute", top: "100%", left: 0, marginTop: 4, width: 280, background: color.surface, border: `1px solid ${color.border}`, borderRadius: 8, boxShadow: `0 8px 24px ${color.shadow}`, padding: 8, zIndex: 20 },
+  search: { width: "100%", padding: "6px 8px", borderRadius: 6, border: `1px solid ${color.border}` },
+  item: { display: "block", width: "100%", textAlign: "left", padding: "6px 8px", border: "none", background: "transparent", cursor: "pointer", borderRadius: 6 },
+  note: { padding: "6px 8px", color: color.textMuted, fontSize: 13 },
+};
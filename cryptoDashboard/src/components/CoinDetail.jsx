@@ -0,0 +1,91 @@
+// src/components/CoinDetail.jsx
+// Coin header, key market data, links, watchlist membership and price chart.
+// Shared by the quick-view modal and the /coins/:id page, which passes `full`
+// to add the description and the exchange markets table.
+import React, { useEffect, useState } from "react";
+import { coinDetailKey, fetchCoinDetail, isAbortError, loadSnapshot } from "../api";
+import { formatPrice } from "../utils/format";
+import CoinDescription from "./CoinInfo/CoinDescription";
+import CoinLinks from "./CoinInfo/CoinLinks";
+import MarketStats from "./CoinInfo/MarketStats";
+import TickersTable from "./CoinInfo/TickersTable";
+import PriceChart from "./PriceChart";
+import StaleBadge from "./StaleBadge";
+import StarButton from "./Watchlist/StarButton";
+import { color } from "../utils/themes";
+
+export default function CoinDetail({ coinId, currency, watchlists, full = false }) {
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [staleSince, setStaleSince] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let live = false;
+    setLoading(true);
+    setError(null);
+    setDetail(null);
+    setStaleSince(null);
+    fetchCoinDetail(coinId, controller.signal)
+      .then((data) => {
+        live = true;
+        setDetail(data);
+        setStaleSince(null);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error('detail fetch error', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+    // show the saved copy from an earlier visit until the live one arrives
+    loadSnapshot(coinDetailKey(coinId)).then((snap) => {
+      if (!snap || live || controller.signal.aborted) return;
+      setDetail(snap.data);
+      setStaleSince(snap.savedAt);
+      setLoading(false);
+    });
+    return () => controller.abort();
+  }, [coinId]);
+
+  if (loading) return <div>Loading...</div>;
+  if (error && !detail) return <div style={{ color: color.danger }}>Could not load coin: {error}</div>;
+  if (!detail) return null;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
+        <img src={detail.image?.small} alt={`${detail.name} logo`} style={{ width: 36, height: 36 }} />
+        <div>
+          <h2 style={{ margin: 0 }}>{detail.name} <small style={{ color: color.textMuted }}>{detail.symbol?.toUpperCase()}</small></h2>
+          <div style={{ color: color.textMuted }}>{formatPrice(detail.market_data?.current_price?.[currency], currency)}</div>
+        </div>
+        <StarButton size={20} active={watchlists.active.coinIds.includes(detail.id)} onToggle={() => watchlists.toggleCoin(watchlists.active.id, detail.id)} title={`Toggle in "${watchlists.active.name}"`} />
+        <StaleBadge since={staleSince} />
+      </div>
+
+      <div style={{ marginTop: 12, display: 'flex', gap: 12, flexWrap: 'wrap', fontSize: 14 }}>
+        <strong>Watchlists:</strong>
+        {watchlists.lists.map((l) => (
+          <label key={l.id} style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+            <input type="checkbox" checked={l.coinIds.includes(detail.id)} onChange={() => watchlists.toggleCoin(l.id, detail.id)} />
+            {l.name}
+          </label>
+        ))}
+      </div>
+
+      <MarketStats detail={detail} currency={currency} />
+      <CoinLinks detail={detail} />
+
+      <PriceChart coinId={detail.id} currency={currency} />
+
+      {full && (
+        <>
+          <CoinDescription detail={detail} />
+          <TickersTable key={detail.id} coinId={detail.id} tickers={detail.tickers} currency={currency} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+// src/components/CoinInfo/CoinDescription.jsx
+import React, { useMemo, useState } from "react";
+import { sanitizeHtml } from "../../utils/sanitize";
+import { color } from "../../utils/themes";
+
+// Past this many characters the description starts collapsed.
+const COLLAPSE_AT = 600;
+
+// Vendor-written project description, sanitized before it is rendered.
+export default function CoinDescription({ detail }) {
+  const raw = detail.description?.en || '';
+  const html = useMemo(() => sanitizeHtml(raw), [raw]);
+  const [expanded, setExpanded] = useState(false);
+  if (!html.trim()) return null;
+  const long = raw.length > COLLAPSE_AT;
+  return (
+    <section style={{ marginTop: 16 }}>
+      <h3 style={styles.heading}>About {detail.name}</h3>
+      <div
+        style={{ ...styles.body, ...(long && !expanded ? styles.collapsed : null) }}
+        dangerouslySetInnerHTML={{ __html: html }}
+      />
+      {long && (
+        <button type="button" style={styles.toggle} onClick={() => setExpanded((e) => !e)} aria-expanded={expanded}>
+          {expanded ? 'Show less' : 'Read more'}
+        </button>
+      )}
+    </section>
+  );
+}
+
+const styles = {
+  heading: { margin: '0 0 8px', fontSize: 16 },
+  // descriptions separate paragraphs with blank lines rather than <p>
+  body: { whiteSpace: 'pre-line', lineHeight: 1.5, fontSize: 14 },
+  collapsed: { maxHeight: '9em', overflow: 'hidden', maskImage: 'linear-gradient(to bottom, black 60%, transparent)' },
+  toggle: { marginTop: 6, border: 'none', background: 'none', padding: 0, color: color.link, cursor: 'pointer', font: 'inherit', fontSize: 14 },
+};
@@ -0,0 +1,31 @@
+// src/components/CoinInfo/CoinLinks.jsx
+import React from "react";
+import { coinLinks } from "../../utils/coinDetail";
+import { color } from "../../utils/themes";
+
+// Website, explorer, community and repository links, one row per group.
+export default function CoinLinks({ detail }) {
+  const groups = coinLinks(detail);
+  if (groups.length === 0) return null;
+  return (
+    <dl style={styles.list}>
+      {groups.map((g) => (
+        <React.Fragment key={g.id}>
+          <dt style={styles.term}>{g.label}</dt>
+          <dd style={styles.links}>
+            {g.links.map((l) => (
+              <a key={l.href} href={l.href} target="_blank" rel="noopener noreferrer" style={styles.chip}>{l.label}</a>
+            ))}
+          </dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+}
+
+const styles = {
+  list: { display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: '8px 12px', margin: '16px 0 0', alignItems: 'baseline', fontSize: 14 },
+  term: { color: color.textMuted },
+  links: { margin: 0, display: 'flex', flexWrap: 'wrap', gap: 6 },
+  chip: { padding: '2px 8px', borderRadius: 999, background: color.surfaceAlt, color: color.link, textDecoration: 'none', fontSize: 13 },
+};
@@ -0,0 +1,132 @@
+// src/components/CoinInfo/MarketStats.jsx
+import React from "react";
+import { formatCurrency, formatNumber, formatPercent, formatPrice } from "../../utils/format";
+import { supplyProgress } from "../../utils/coinDetail";
+import { color } from "../../utils/themes";
+
+const CHANGE_WINDOWS = [
+  { id: '1h', label: '1h' },
+  { id: '24h', label: '24h' },
+  { id: '7d', label: '7d' },
+  { id: '14d', label: '14d' },
+  { id: '30d', label: '30d' },
+  { id: '1y', label: '1y' },
+];
+
+// Per-currency change when the payload has it, else the USD-based figure.
+function changeFor(md, window, currency) {
+  const inCurrency = md[`price_change_percentage_${window}_in_currency`]?.[currency];
+  return typeof inCurrency === 'number' ? inCurrency : md[`price_change_percentage_${window}`];
+}
+
+function signed(n) {
+  if (typeof n !== 'number') return '-';
+  return `${n > 0 ? '+' : ''}${formatPercent(n)}`;
+}
+
+function changeColor(n) {
+  if (typeof n !== 'number') return undefined;
+  return n >= 0 ? color.up : color.down;
+}
+
+function formatDate(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function Stat({ label, children }) {
+  return (
+    <div style={styles.stat}>
+      <div style={styles.label}>{label}</div>
+      <div style={styles.value}>{children}</div>
+    </div>
+  );
+}
+
+// Extreme price (ATH or ATL) with its date and the distance from today's price.
+function Extreme({ label, md, field, currency }) {
+  const price = md[field]?.[currency];
+  const change = md[`${field}_change_percentage`]?.[currency];
+  const date = formatDate(md[`${field}_date`]?.[currency]);
+  return (
+    <Stat label={label}>
+      {formatPrice(price, currency)}
+      <div style={styles.sub}>
+        <span style={{ color: changeColor(change) }}>{signed(change)}</span>
+        {date && ` · ${date}`}
+      </div>
+    </Stat>
+  );
+}
+
+/**
+ * Key `market_data` figures for one coin: valuation, 24h range, change over
+ * each window, supply with progress toward the cap, and ATH/ATL.
+ */
+export default function MarketStats({ detail, currency }) {
+  const md = detail.market_data || {};
+  const supply = supplyProgress(md);
+  const whole = (n) => (typeof n === 'number' ? formatNumber(Math.round(n), currency) : '-');
+  const low = md.low_24h?.[currency];
+  const high = md.high_24h?.[currency];
+
+  return (
+    <div>
+      <div style={styles.changes}>
+        {CHANGE_WINDOWS.map((w) => {
+          const n = changeFor(md, w.id, currency);
+          return (
+            <div key={w.id} style={styles.change}>
+              <div style={styles.label}>{w.label}</div>
+              <div style={{ fontWeight: 600, color: changeColor(n) }}>{signed(n)}</div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={styles.grid}>
+        <Stat label="Market Cap">{formatCurrency(md.market_cap?.[currency], currency)}</Stat>
+        <Stat label="Fully Diluted Valuation">{formatCurrency(md.fully_diluted_valuation?.[currency], currency)}</Stat>
+        <Stat label="24h Volume">{formatCurrency(md.total_volume?.[currency], currency)}</Stat>
+        <Stat label="24h Range">
+          {typeof low === 'number' && typeof high === 'number' ? `${formatPrice(low, currency)} – ${formatPrice(high, currency)}` : '-'}
+        </Stat>
+        <Stat label="Circulating Supply">
+          {whole(md.circulating_supply)} {detail.symbol?.toUpperCase()}
+          {supply && (
+            <div style={styles.sub}>
+              <div
+                style={styles.track}
+                role="progressbar"
+                aria-label={`Circulating share of ${supply.capKind} supply`}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(supply.ratio * 100)}
+              >
+                <div style={{ ...styles.fill, width: `${supply.ratio * 100}%` }} />
+              </div>
+              {formatPercent(supply.ratio * 100)} of {supply.capKind} supply
+            </div>
+          )}
+        </Stat>
+        <Stat label="Total Supply">{whole(md.total_supply)}</Stat>
+        <Stat label="Max Supply">{md.max_supply ? whole(md.max_supply) : '∞'}</Stat>
+        <Extreme label="All-Time High" md={md} field="ath" currency={currency} />
+        <Extreme label="All-Time Low" md={md} field="atl" currency={currency} />
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  changes: { display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: 8, marginTop: 12, textAlign: 'center', fontSize: 14 },
+  change: { background: color.surfaceAlt, borderRadius: 6, padding: '6px 4px' },
+  grid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: 12, marginTop: 12 },
+  stat: { borderBottom: `1px solid ${color.borderSubtle}`, paddingBottom: 8 },
+  label: { fontSize: 12, color: color.textMuted },
+  value: { fontWeight: 600, marginTop: 2 },
+  sub: { fontSize: 12, fontWeight: 400, color: color.textMuted, marginTop: 4 },
+  track: { height: 6, borderRadius: 3, background: color.surfaceAlt, overflow: 'hidden', marginBottom: 4 },
+  fill: { height: '100%', background: color.accent },
+};
@@ -0,0 +1,155 @@
+// src/components/CoinInfo/TickersTable.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { fetchTickers, isAbortError, TICKERS_PER_PAGE } from "../../api";
+import { sortTickers, tickerRows } from "../../utils/coinDetail";
+import { formatCurrency, formatPercent, formatPrice } from "../../utils/format";
+import { color } from "../../utils/themes";
+
+const PAGE_SIZE = 10;
+
+const COLUMNS = [
+  { id: 'exchange', label: 'Exchange', align: 'left' },
+  { id: 'pair', label: 'Pair', align: 'left' },
+  { id: 'price', label: 'Price' },
+  { id: 'volume', label: '24h Volume' },
+  { id: 'spread', label: 'Spread' },
+  { id: 'trust', label: 'Trust Score' },
+];
+
+const TRUST_LABELS = { green: 'High', yellow: 'Medium', red: 'Low' };
+
+function TrustScore({ score }) {
+  if (!score) return <span style={{ color: color.textFaint }}>-</span>;
+  const dot = score === 'green' ? color.up : score === 'red' ? color.down : color.warning;
+  return (
+    <span style={{ display: 'inline-flex', gap: 6, alignItems: 'center' }}>
+      <span aria-hidden="true" style={{ width: 8, height: 8, borderRadius: 4, background: dot }} />
+      {TRUST_LABELS[score] || score}
+    </span>
+  );
+}
+
+/**
+ * The coin's exchange markets, sortable by any column and paged
+ * client-side. Starts from the detail payload's `tickers` (the top 100 by
+ * volume); paging past them loads the next page of `fetchTickers`.
+ * Mount with `key={coinId}` so a new coin starts over.
+ */
+export default function TickersTable({ coinId, tickers, currency }) {
+  const [sort, setSort] = useState({ key: 'volume', dir: 'desc' });
+  const [page, setPage] = useState(0);
+  // tickers loaded beyond the embedded ones; `pages` counts API pages held
+  const [more, setMore] = useState(() => ({ tickers: [], pages: 1, done: (tickers?.length || 0) < TICKERS_PER_PAGE }));
+  const [pending, setPending] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!pending) return;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchTickers(coinId, { page: pending.page, signal: controller.signal })
+      .then((next) => {
+        setMore((m) => ({ tickers: [...m.tickers, ...next], pages: pending.page, done: next.length < TICKERS_PER_PAGE }));
+        if (next.length > 0) setPage((p) => p + 1);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [coinId, pending]);
+
+  const all = useMemo(() => [...(tickers || []), ...more.tickers], [tickers, more.tickers]);
+  const rows = useMemo(() => sortTickers(tickerRows(all, currency), sort.key, sort.dir), [all, currency, sort]);
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const current = Math.min(page, pages - 1);
+  const visible = rows.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE);
+  const quote = rows[0]?.quote || currency;
+
+  function toggleSort(key) {
+    setSort((s) => (s.key === key ? { key, dir: s.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: key === 'exchange' || key === 'pair' ? 'asc' : 'desc' }));
+    setPage(0);
+  }
+
+  function next() {
+    if (current < pages - 1) setPage(current + 1);
+    // a fresh object so a retry after an error runs the effect again
+    else if (!more.done) setPending({ page: more.pages + 1 });
+  }
+
+  if (rows.length === 0) return null;
+
+  return (
+    <section style={{ marginTop: 16 }}>
+      <div style={styles.bar}>
+        <h3 style={styles.heading}>Markets</h3>
+        {quote !== currency && <span style={styles.note}>Prices and volumes in {quote.toUpperCase()}</span>}
+        {!more.done && sort.key !== 'volume' && <span style={styles.note}>Sorted within the top {rows.length} by volume loaded so far</span>}
+      </div>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={{ ...styles.th, textAlign: 'right', width: 36 }}>#</th>
+              {COLUMNS.map((col) => {
+                const active = sort.key === col.id;
+                return (
+                  <th
+                    key={col.id}
+                    style={{ ...styles.th, textAlign: col.align || 'right' }}
+                    aria-sort={active ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  >
+                    <button type="button" style={{ ...styles.sortButton, color: active ? color.accent : 'inherit' }} onClick={() => toggleSort(col.id)}>
+                      {col.label}
+                      {active && <span aria-hidden="true" style={{ marginLeft: 4, fontSize: 10 }}>{sort.dir === 'desc' ? '▼' : '▲'}</span>}
+                    </button>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((r, i) => (
+              <tr key={r.key} style={r.stale ? { color: color.textFaint } : undefined} title={r.stale ? 'Stale or anomalous price' : undefined}>
+                <td style={{ ...styles.td, textAlign: 'right', color: color.textMuted }}>{current * PAGE_SIZE + i + 1}</td>
+                <td style={styles.td}>{r.exchange}</td>
+                <td style={styles.td}>
+                  {r.tradeUrl ? <a href={r.tradeUrl} target="_blank" rel="noopener noreferrer" style={{ color: color.link }}>{r.pair}</a> : r.pair}
+                </td>
+                <td style={{ ...styles.td, textAlign: 'right' }}>{formatPrice(r.price, quote)}</td>
+                <td style={{ ...styles.td, textAlign: 'right' }}>{formatCurrency(r.volume, quote)}</td>
+                <td style={{ ...styles.td, textAlign: 'right' }}>{formatPercent(r.spread)}</td>
+                <td style={{ ...styles.td, textAlign: 'right' }}><TrustScore score={r.trust} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {(pages > 1 || !more.done) && (
+        <div style={styles.pager}>
+          {error && <span role="alert" style={{ color: color.danger }}>Could not load more markets: {error}</span>}
+          <button type="button" style={styles.pageBtn} disabled={current === 0} onClick={() => setPage(current - 1)}>‹ Prev</button>
+          <span>Page {current + 1} of {pages}{more.done ? '' : '+'}</span>
+          <button type="button" style={styles.pageBtn} disabled={loading || (current >= pages - 1 && more.done)} onClick={next}>
+            {loading ? 'Loading…' : 'Next ›'}
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+const styles = {
+  bar: { display: 'flex', gap: 12, alignItems: 'baseline', marginBottom: 8 },
+  heading: { margin: 0, fontSize: 16 },
+  note: { fontSize: 12, color: color.textMuted },
+  table: { width: '100%', borderCollapse: 'collapse', fontSize: 14 },
+  th: { padding: '8px 6px', color: color.textMuted, fontWeight: 500, borderBottom: `1px solid ${color.border}`, whiteSpace: 'nowrap', textAlign: 'left' },
+  td: { padding: '8px 6px', borderBottom: `1px solid ${color.borderSubtle}`, whiteSpace: 'nowrap' },
+  sortButton: { background: 'none', border: 'none', padding: 0, font: 'inherit', cursor: 'pointer' },
+  pager: { display: 'flex', gap: 12, alignItems: 'center', justifyContent: 'flex-end', marginTop: 8, fontSize: 14, color: color.textMuted },
+  pageBtn: { padding: '4px 10px', borderRadius: 6, border: `1px solid ${color.border}`, background: color.surface, color: color.text, cursor: 'pointer' },
+};
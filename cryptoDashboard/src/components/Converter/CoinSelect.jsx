@@ -0,0 +1,13 @@
+// src/components/Converter/CoinSelect.jsx
+import React from "react";
+
+// <select> over market rows, labelled "Bitcoin (BTC)".
+export default function CoinSelect({ coins, value, onChange, style, ...rest }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={style} {...rest}>
+      {coins.map((c) => (
+        <option key={c.id} value={c.id}>{c.name} ({c.symbol.toUpperCase()})</option>
+      ))}
+    </select>
+  );
+}
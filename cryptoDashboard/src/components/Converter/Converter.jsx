@@ -0,0 +1,102 @@
+// src/components/Converter/Converter.jsx
+import React, { useState } from "react";
+import { assetKey, amountInputValue, convertAmount, parseAsset } from "../../utils/converter";
+import { CURRENCIES } from "../../utils/currencies";
+import { color } from "../../utils/themes";
+
+function assetLabel(key, coinsById) {
+  const { kind, id } = parseAsset(key);
+  if (kind === 'coin') return coinsById.get(id)?.symbol?.toUpperCase() || id;
+  return CURRENCIES[id]?.code || id.toUpperCase();
+}
+
+function AssetSelect({ coins, value, onChange, label }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={styles.select} aria-label={label}>
+      <optgroup label="Currencies">
+        {Object.values(CURRENCIES).map((c) => (
+          <option key={c.id} value={assetKey('currency', c.id)}>{c.code} — {c.label}</option>
+        ))}
+      </optgroup>
+      <optgroup label="Coins">
+        {coins.map((c) => (
+          <option key={c.id} value={assetKey('coin', c.id)}>{c.name} ({c.symbol.toUpperCase()})</option>
+        ))}
+      </optgroup>
+    </select>
+  );
+}
+
+/**
+ * Two-way converter between any loaded coin and any quote currency. Typing
+ * in either amount recomputes the other side from the live table prices.
+ */
+export default function Converter({ coins, coinsById, currency, rates, ratesError, initialCoin }) {
+  const [from, setFrom] = useState(() => assetKey('coin', initialCoin || coins[0]?.id || 'bitcoin'));
+  const [to, setTo] = useState(() => assetKey('currency', currency));
+  // the side the user typed into drives the other one
+  const [input, setInput] = useState({ side: 'from', value: '1' });
+
+  const ctx = { coinsById, currency, rates };
+  const typed = Number(input.value);
+  const other = input.value === '' || !Number.isFinite(typed)
+    ? null
+    : input.side === 'from' ? convertAmount(typed, from, to, ctx) : convertAmount(typed, to, from, ctx);
+  const fromValue = input.side === 'from' ? input.value : amountInputValue(other);
+  const toValue = input.side === 'to' ? input.value : amountInputValue(other);
+  const unitRate = convertAmount(1, from, to, ctx);
+  const needsRates = parseAsset(from).kind === 'currency' || parseAsset(to).kind === 'currency';
+
+  function swap() {
+    setFrom(to);
+    setTo(from);
+    setInput((i) => ({ side: i.side === 'from' ? 'to' : 'from', value: i.value }));
+  }
+
+  return (
+    <div>
+      <div style={styles.row}>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={fromValue}
+          onChange={(e) => setInput({ side: 'from', value: e.target.value })}
+          style={styles.amount}
+          aria-label="Amount to convert"
+        />
+        <AssetSelect coins={coins} value={from} onChange={setFrom} label="Convert from" />
+      </div>
+      <div style={{ textAlign: 'center', margin: '6px 0' }}>
+        <button type="button" onClick={swap} style={styles.swap} title="Swap direction" aria-label="Swap direction">⇅</button>
+      </div>
+      <div style={styles.row}>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={toValue}
+          onChange={(e) => setInput({ side: 'to', value: e.target.value })}
+          style={styles.amount}
+          aria-label="Converted amount"
+        />
+        <AssetSelect coins={coins} value={to} onChange={setTo} label="Convert to" />
+      </div>
+      <div style={styles.rate} aria-live="polite">
+        {unitRate != null
+          ? `1 ${assetLabel(from, coinsById)} = ${amountInputValue(unitRate)} ${assetLabel(to, coinsById)}`
+          : needsRates && !rates
+            ? (ratesError ? `Exchange rates unavailable (${ratesError}).` : 'Loading exchange rates…')
+            : 'No price available for this pair.'}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  row: { display: 'flex', gap: 8 },
+  amount: { flex: 1, minWidth: 0, padding: '8px 10px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text, fontSize: 16 },
+  select: { width: 220, padding: '8px 10px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text },
+  swap: { padding: '4px 12px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surfaceAlt, color: color.text, cursor: 'pointer', fontSize: 16 },
+  rate: { marginTop: 10, fontSize: 13, color: color.textMuted },
+};
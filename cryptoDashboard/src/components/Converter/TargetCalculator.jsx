@@ -0,0 +1,94 @@
+// src/components/Converter/TargetCalculator.jsx
+import React, { useState } from "react";
+import { targetReturn } from "../../utils/converter";
+import { formatCurrency, formatNumber, formatPercent } from "../../utils/format";
+import { color } from "../../utils/themes";
+import CoinSelect from "./CoinSelect";
+
+function signedPercent(n) {
+  return `${n >= 0 ? '+' : ''}${formatPercent(n)}`;
+}
+
+/**
+ * Position size and return at a target price. Entry defaults to the coin's
+ * current table price and follows it until the user types their own.
+ */
+export default function TargetCalculator({ coins, coinsById, currency, initialCoin }) {
+  const [coinId, setCoinId] = useState(() => initialCoin || coins[0]?.id || 'bitcoin');
+  const [invested, setInvested] = useState('1000');
+  const [entry, setEntry] = useState('');
+  const [target, setTarget] = useState('');
+
+  const coin = coinsById.get(coinId);
+  const current = coin?.current_price;
+  const entryPrice = entry === '' ? current : Number(entry);
+  const result = target === '' ? null : targetReturn({ invested: Number(invested), entry: entryPrice, target: Number(target), current });
+  const symbol = coin?.symbol?.toUpperCase() || '';
+
+  function changeCoin(id) {
+    setCoinId(id);
+    setEntry('');
+    setTarget('');
+  }
+
+  return (
+    <div>
+      <div style={styles.form}>
+        <label style={styles.field}>
+          <span style={styles.label}>Coin</span>
+          <CoinSelect coins={coins} value={coinId} onChange={changeCoin} style={styles.input} />
+        </label>
+        <label style={styles.field}>
+          <span style={styles.label}>Position size ({currency.toUpperCase()})</span>
+          <input type="number" min="0" step="any" value={invested} onChange={(e) => setInvested(e.target.value)} style={styles.input} />
+        </label>
+        <label style={styles.field}>
+          <span style={styles.label}>Entry price</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={entry}
+            placeholder={current != null ? String(current) : ''}
+            onChange={(e) => setEntry(e.target.value)}
+            style={styles.input}
+          />
+        </label>
+        <label style={styles.field}>
+          <span style={styles.label}>Target price</span>
+          <input type="number" min="0" step="any" value={target} onChange={(e) => setTarget(e.target.value)} style={styles.input} />
+        </label>
+      </div>
+
+      {!result && <div style={styles.muted}>Enter a target price to see the return.</div>}
+
+      {result && (
+        <dl style={styles.result}>
+          <dt>Position</dt>
+          <dd>{formatNumber(result.quantity, currency)} {symbol}</dd>
+          <dt>Value at target</dt>
+          <dd style={{ fontWeight: 700 }}>{formatCurrency(result.value, currency)}</dd>
+          <dt>Profit / loss</dt>
+          <dd style={{ color: result.profit >= 0 ? color.up : color.down, fontWeight: 600 }}>
+            {result.profit >= 0 ? '+' : '−'}{formatCurrency(Math.abs(result.profit), currency)} ({signedPercent(result.returnPct)})
+          </dd>
+          {result.moveFromNow != null && (
+            <>
+              <dt>Move needed</dt>
+              <dd>{signedPercent(result.moveFromNow)} from the current price</dd>
+            </>
+          )}
+        </dl>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  form: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: 10 },
+  field: { display: 'flex', flexDirection: 'column', gap: 4 },
+  label: { fontSize: 12, color: color.textMuted },
+  input: { padding: '8px 10px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text },
+  muted: { color: color.textMuted, fontSize: 13, marginTop: 10 },
+  result: { display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: '6px 16px', margin: '14px 0 0', fontSize: 14 },
+};
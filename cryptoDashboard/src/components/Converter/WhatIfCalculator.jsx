@@ -0,0 +1,98 @@
+// src/components/Converter/WhatIfCalculator.jsx
+import React, { useEffect, useState } from "react";
+import { fetchHistory, isAbortError } from "../../api";
+import { earliestHistoryDate, historyDays, MAX_HISTORY_DAYS, priceAt, whatIf } from "../../utils/converter";
+import { formatCurrency, formatNumber, formatPercent, formatPrice } from "../../utils/format";
+import { color } from "../../utils/themes";
+import CoinSelect from "./CoinSelect";
+
+function toDateInput(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/**
+ * "If I had bought X on date D": prices the purchase from the coin's
+ * historical series and values it at today's table price.
+ */
+export default function WhatIfCalculator({ coins, coinsById, currency, initialCoin }) {
+  const [coinId, setCoinId] = useState(() => initialCoin || coins[0]?.id || 'bitcoin');
+  const [invested, setInvested] = useState('1000');
+  const [date, setDate] = useState(() => toDateInput(earliestHistoryDate()));
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const ts = Date.parse(date);
+  const days = Number.isNaN(ts) ? null : historyDays(ts);
+  const tooOld = !Number.isNaN(ts) && days === null;
+
+  useEffect(() => {
+    if (!days) return;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchHistory(coinId, { vs_currency: currency, days, signal: controller.signal })
+      .then((h) => setHistory({ coinId, currency, prices: h.prices || [] }))
+      .catch((err) => { if (!isAbortError(err)) setError(err.message); })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [coinId, currency, days]);
+
+  const coin = coinsById.get(coinId);
+  const current = history && history.coinId === coinId && history.currency === currency ? history : null;
+  const point = current && days ? priceAt(current.prices, ts) : null;
+  const result = point && coin ? whatIf({ invested: Number(invested), priceThen: point[1], priceNow: coin.current_price }) : null;
+  const symbol = coin?.symbol?.toUpperCase() || '';
+
+  return (
+    <div>
+      <div style={styles.form}>
+        <label style={styles.field}>
+          <span style={styles.label}>Coin</span>
+          <CoinSelect coins={coins} value={coinId} onChange={setCoinId} style={styles.input} />
+        </label>
+        <label style={styles.field}>
+          <span style={styles.label}>Amount invested ({currency.toUpperCase()})</span>
+          <input type="number" min="0" step="any" value={invested} onChange={(e) => setInvested(e.target.value)} style={styles.input} />
+        </label>
+        <label style={styles.field}>
+          <span style={styles.label}>Bought on</span>
+          <input type="date" value={date} min={toDateInput(earliestHistoryDate())} max={toDateInput(Date.now())} onChange={(e) => setDate(e.target.value)} style={styles.input} />
+        </label>
+      </div>
+
+      {tooOld && <div style={styles.muted}>Price history only reaches back {MAX_HISTORY_DAYS} days; pick a later date.</div>}
+      {loading && !current && <div style={styles.muted}>Loading price history…</div>}
+      {error && <div style={{ color: color.danger, marginTop: 10 }}>Could not load price history: {error}</div>}
+      {current && days && !point && !error && (
+        <div style={styles.muted}>No {symbol} price for that date; pick a later one.</div>
+      )}
+
+      {result && (
+        <dl style={styles.result}>
+          <dt>Price then</dt>
+          <dd>{formatPrice(point[1], currency)} <span style={styles.muted}>({new Date(point[0]).toLocaleDateString()})</span></dd>
+          <dt>Price now</dt>
+          <dd>{formatPrice(coin.current_price, currency)}</dd>
+          <dt>Bought</dt>
+          <dd>{formatNumber(result.quantity, currency)} {symbol}</dd>
+          <dt>Worth today</dt>
+          <dd style={{ fontWeight: 700 }}>{formatCurrency(result.value, currency)}</dd>
+          <dt>Profit / loss</dt>
+          <dd style={{ color: result.profit >= 0 ? color.up : color.down, fontWeight: 600 }}>
+            {result.profit >= 0 ? '+' : '−'}{formatCurrency(Math.abs(result.profit), currency)} ({result.returnPct >= 0 ? '+' : ''}{formatPercent(result.returnPct)})
+          </dd>
+        </dl>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  form: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: 10 },
+  field: { display: 'flex', flexDirection: 'column', gap: 4 },
+  label: { fontSize: 12, color: color.textMuted },
+  input: { padding: '8px 10px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text },
+  muted: { color: color.textMuted, fontSize: 13, marginTop: 10 },
+  result: { display: 'grid', gridTemplateColumns: 'max-content 1fr', gap: '6px 16px', margin: '14px 0 0', fontSize: 14 },
+};
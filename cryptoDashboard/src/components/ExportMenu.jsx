@@ -0,0 +1,43 @@
+// src/components/ExportMenu.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { EXPORT_FORMATS, exportTable } from "../utils/export";
+import { color } from "../utils/themes";
+
+// "Export ▾" dropdown. `getTable` is called on click so the export reflects
+// the data at that moment.
+export default function ExportMenu({ getTable, basename, buttonStyle, disabled }) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    function onDocClick(e) {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", onDocClick);
+    return () => document.removeEventListener("mousedown", onDocClick);
+  }, [open]);
+
+  function run(format) {
+    exportTable(getTable(), format, basename);
+    setOpen(false);
+  }
+
+  return (
+    <div ref={rootRef} style={{ position: "relative" }}>
+      <button style={buttonStyle} disabled={disabled} onClick={() => setOpen((o) => !o)}>Export ▾</button>
+      {open && (
+        <div style={styles.menu}>
+          {EXPORT_FORMATS.map((f) => (
+            <button key={f.id} style={styles.item} onClick={() => run(f.id)}>{f.label}</button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  menu: { position: "absolute", top: "100%", right: 0, marginTop: 4, width: 160, background: color.surface, border: `1px solid ${color.border}`, borderRadius: 8, boxShadow: `0 8px 24px ${color.shadow}`, padding: 6, zIndex: 20 },
+  item: { display: "block", width: "100%", textAlign: "left", padding: "6px 8px", border: "none", background: "transparent", cursor: "pointer", borderRadius: 6 },
+};
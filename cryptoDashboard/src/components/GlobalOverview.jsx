@@ -0,0 +1,55 @@
+// src/components/GlobalOverview.jsx
+// Market Cap and 24h Volume cards for the whole market, from `/global`.
+import React from "react";
+import { formatCurrency, formatNumber, formatPercent } from "../utils/format";
+import Sparkline from "./Sparkline";
+import { color } from "../utils/themes";
+
+// `[timestamp, value]` pairs down to values, thinned for a 180px sparkline.
+function sparkValues(series, points = 48) {
+  if (!series?.length) return [];
+  const stride = Math.max(1, Math.floor(series.length / points));
+  return series.filter((_, i) => i % stride === 0 || i === series.length - 1).map(([, v]) => v);
+}
+
+export default function GlobalOverview({ global, history, historyUnsupported, error, currency, cardStyle }) {
+  const marketCap = global?.total_market_cap?.[currency];
+  const volume = global?.total_volume?.[currency];
+  const change = global?.market_cap_change_percentage_24h_usd;
+  const dominance = global?.market_cap_percentage || {};
+
+  return (
+    <>
+      <div style={cardStyle}>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{marketCap ? formatCurrency(marketCap, currency) : '—'}</div>
+        <div style={{ marginTop: 6 }}>
+          Market Cap{' '}
+          {typeof change === 'number' && (
+            <span style={{ color: change >= 0 ? color.up : color.down }}>{change >= 0 ? '▲' : '▼'} {formatPercent(Math.abs(change))}</span>
+          )}
+        </div>
+        {history && <div style={{ marginTop: 8 }}><Sparkline data={sparkValues(history.market_caps)} width={180} height={40} stroke={change >= 0 ? color.up : color.down} /></div>}
+        {historyUnsupported && <div style={styles.note}>7-day chart needs a paid API plan</div>}
+        {global && (
+          <div style={styles.note}>
+            Dominance: BTC {formatPercent(dominance.btc ?? 0)} · ETH {formatPercent(dominance.eth ?? 0)}
+          </div>
+        )}
+        {error && !global && <div style={{ ...styles.note, color: color.down }}>Global data unavailable</div>}
+      </div>
+
+      <div style={cardStyle}>
+        <div style={{ fontSize: 18, fontWeight: 700 }}>{volume ? formatCurrency(volume, currency) : '—'}</div>
+        <div style={{ color: color.info, marginTop: 6 }}>24h Trading Volume</div>
+        {history && <div style={{ marginTop: 8 }}><Sparkline data={sparkValues(history.total_volumes)} width={180} height={40} stroke={color.info} /></div>}
+        {global && (
+          <div style={styles.note}>{formatNumber(global.active_cryptocurrencies, currency)} active cryptocurrencies</div>
+        )}
+      </div>
+    </>
+  );
+}
+
+const styles = {
+  note: { marginTop: 8, fontSize: 12, color: color.textMuted },
+};
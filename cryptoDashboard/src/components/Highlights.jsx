@@ -1,112 +1,106 @@
 // src/components/Highlights.jsx
-import React, { useEffect, useState } from "react";
-import axios from "axios";
+// Configurable highlight cards (Trending, Top Gainers, …) over the shared
+// market data. Which cards show is chosen in the "Customize" menu and kept
+// between sessions.
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import usePersistentState from "../hooks/usePersistentState";
+import { formatCurrency, formatPercent, formatPrice } from "../utils/format";
+import { DEFAULT_HIGHLIGHTS, getHighlightType, HIGHLIGHT_TYPES } from "../utils/highlights";
+import { color } from "../utils/themes";
 
-const HighlightCard = ({ title, coins }) => (
-  <div className="bg-white rounded-2xl shadow p-4 flex-1">
-    <h3 className="text-lg font-semibold mb-3">{title}</h3>
-    <ul className="space-y-2">
-      {coins.map((coin) => (
-        <li key={coin.id} className="flex justify-between items-center">
-          <div className="flex items-center space-x-2">
-            <img
-              src={coin.image}
-              alt={coin.name}
-              className="w-5 h-5 rounded-full"
-            />
-            <span>{coin.name}</span>
-          </div>
-          <div className="text-right">
-            <p className="text-sm">${coin.current_price?.toLocaleString()}</p>
-            {coin.price_change_percentage_24h && (
-              <p
-                className={
-                  coin.price_change_percentage_24h >= 0
-                    ? "text-green-500 text-xs"
-                    : "text-red-500 text-xs"
-                }
-              >
-                {coin.price_change_percentage_24h.toFixed(2)}%
-              </p>
-            )}
-          </div>
-        </li>
-      ))}
-    </ul>
-  </div>
-);
-
-export default function Highlights() {
-  const [trending, setTrending] = useState([]);
-  const [topGainers, setTopGainers] = useState([]);
-  const [topLosers, setTopLosers] = useState([]);
-  const [loading, setLoading] = useState(true);
+const CARD_ROWS = 3;
 
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        // Trending
-        const trendingRes = await axios.get(
-          "https://api.coingecko.com/api/v3/search/trending"
-        );
-        setTrending(
-          trendingRes.data.coins.map((c) => ({
-            id: c.item.id,
-            name: c.item.name,
-            image: c.item.small,
-            current_price: c.item.price_btc,
-            price_change_percentage_24h: null,
-          }))
-        );
-
-        // Market coins for gainers/losers
-        const marketRes = await axios.get(
-          "https://api.coingecko.com/api/v3/coins/markets",
-          {
-            params: {
-              vs_currency: "usd",
-              order: "market_cap_desc",
-              per_page: 100,
-              page: 1,
-              price_change_percentage: "24h",
-            },
-          }
-        );
+/** Right-hand figure for a highlight row: price and 24h change, or the list's own metric. */
+export function HighlightMetric({ coin: c, metric, currency }) {
+  if (metric === 'visits') return <div style={{ color: color.textMuted }}>{c.visits} {c.visits === 1 ? 'visit' : 'visits'}</div>;
+  if (metric === 'volume') return <div style={{ fontWeight: 700 }}>{formatCurrency(c.total_volume, currency)}</div>;
+  if (metric === 'ratio') return <div style={{ fontWeight: 700 }}>{formatPercent(c.volume_ratio)}</div>;
+  const change = c.price_change_percentage_24h;
+  return (
+    <>
+      <div style={{ fontWeight: 700 }}>{formatPrice(c.current_price, c.price_currency || currency)}</div>
+      {typeof change === 'number' && <div style={{ color: change >= 0 ? color.up : color.down }}>{formatPercent(change)}</div>}
+    </>
+  );
+}
 
-        const coins = marketRes.data;
-        setTopGainers(
-          [...coins]
-            .sort(
-              (a, b) =>
-                b.price_change_percentage_24h - a.price_change_percentage_24h
-            )
-            .slice(0, 5)
-        );
-        setTopLosers(
-          [...coins]
-            .sort(
-              (a, b) =>
-                a.price_change_percentage_24h - b.price_change_percentage_24h
-            )
-            .slice(0, 5)
-        );
-      } catch (err) {
-        console.error("Highlights fetch error:", err);
-      } finally {
-        setLoading(false);
-      }
-    };
+function HighlightCard({ type, rows, unavailable, currency, cardStyle }) {
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0, fontSize: 16 }}>{type.title}</h3>
+        <Link to={`/highlights/${type.id}`}>View more</Link>
+      </div>
+      <div style={{ marginTop: 8 }}>
+        {unavailable && <div style={styles.empty}>Not available from the current data provider</div>}
+        {!unavailable && rows.length === 0 && <div style={styles.empty}>Nothing to show yet</div>}
+        {rows.slice(0, CARD_ROWS).map((c) => (
+          <Link key={c.id} to={`/coins/${c.id}`} style={styles.row}>
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center', minWidth: 0 }}>
+              <img src={c.image} alt={`${c.name} logo`} style={{ width: 20, height: 20, borderRadius: 10 }} />
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontWeight: 600, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{c.name}</div>
+                <div style={{ fontSize: 12, color: color.textMuted }}>{c.symbol?.toUpperCase()}</div>
+              </div>
+            </div>
+            <div style={{ textAlign: 'right', minWidth: 80 }}>
+              <HighlightMetric coin={c} metric={type.metric} currency={currency} />
+            </div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+}
 
-    fetchData();
-  }, []);
+export default function Highlights({ highlights, currency, cardStyle }) {
+  const [enabled, setEnabled] = usePersistentState("highlights.cards", DEFAULT_HIGHLIGHTS);
+  const [customizing, setCustomizing] = useState(false);
+  const types = enabled.map(getHighlightType).filter(Boolean);
 
-  if (loading) return <p className="text-center">Loading highlights...</p>;
+  function toggle(id) {
+    setEnabled((list) => (list.includes(id)
+      ? list.filter((x) => x !== id)
+      : HIGHLIGHT_TYPES.map((t) => t.id).filter((x) => x === id || list.includes(x))));
+  }
 
   return (
-    <section className="my-6 grid grid-cols-1 md:grid-cols-3 gap-4">
-      <HighlightCard title="🔥 Trending Coins" coins={trending} />
-      <HighlightCard title="🚀 Top Gainers" coins={topGainers} />
-      <HighlightCard title="📉 Top Losers" coins={topLosers} />
-    </section>
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', position: 'relative' }}>
+        <button style={styles.customize} onClick={() => setCustomizing((o) => !o)}>Customize highlights ▾</button>
+        {customizing && (
+          <div style={styles.menu}>
+            {HIGHLIGHT_TYPES.map((t) => (
+              <label key={t.id} style={styles.option} title={t.description}>
+                <input type="checkbox" checked={enabled.includes(t.id)} onChange={() => toggle(t.id)} />
+                {t.title}
+              </label>
+            ))}
+          </div>
+        )}
+      </div>
+      <div style={styles.grid}>
+        {types.map((t) => (
+          <HighlightCard
+            key={t.id}
+            type={t}
+            rows={highlights.lists[t.id] || []}
+            unavailable={highlights.unavailable[t.id]}
+            currency={currency}
+            cardStyle={cardStyle}
+          />
+        ))}
+      </div>
+    </div>
   );
 }
+
+const styles = {
+  grid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 12, marginTop: 4 },
+  row: { display: 'flex', justifyContent: 'space-between', gap: 8, padding: '6px 0', borderBottom: `1px solid ${color.borderSubtle}`, color: 'inherit', textDecoration: 'none' },
+  empty: { color: color.textMuted, fontSize: 14 },
+  customize: { border: 'none', background: 'transparent', color: color.textMuted, cursor: 'pointer', fontSize: 13 },
+  menu: { position: 'absolute', top: '100%', right: 0, width: 220, background: color.surface, border: `1px solid ${color.border}`, borderRadius: 8, boxShadow: `0 8px 24px ${color.shadow}`, padding: 6, zIndex: 20 },
+  option: { display: 'flex', gap: 6, alignItems: 'center', padding: '4px 8px', fontSize: 14 },
+};
@@ -0,0 +1,62 @@
+// src/components/MarketTable/ColumnChooser.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { COLUMNS } from "./columns";
+import { color } from "../../utils/themes";
+
+// "Columns ▾" dropdown: show/hide and reorder market table columns.
+export default function ColumnChooser({ layout, buttonStyle }) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+  const { columns, toggle, move, reset } = layout;
+
+  useEffect(() => {
+    if (!open) return;
+    function onDocClick(e) {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", onDocClick);
+    return () => document.removeEventListener("mousedown", onDocClick);
+  }, [open]);
+
+  const visible = columns.map((c) => c.id);
+  const hidden = COLUMNS.filter((c) => !visible.includes(c.id));
+
+  return (
+    <div ref={rootRef} style={{ position: "relative" }}>
+      <button style={buttonStyle} onClick={() => setOpen((o) => !o)}>Columns ▾</button>
+      {open && (
+        <div style={styles.menu}>
+          <div style={styles.heading}>Shown</div>
+          {columns.map((c, idx) => (
+            <div key={c.id} style={styles.item}>
+              <label style={{ flex: 1, display: "flex", gap: 6, alignItems: "center" }}>
+                <input type="checkbox" checked onChange={() => toggle(c.id)} />
+                {c.label}
+              </label>
+              <button style={styles.arrow} disabled={idx === 0} onClick={() => move(c.id, -1)} title="Move left">◀</button>
+              <button style={styles.arrow} disabled={idx === columns.length - 1} onClick={() => move(c.id, 1)} title="Move right">▶</button>
+            </div>
+          ))}
+          {hidden.length > 0 && <div style={styles.heading}>Available</div>}
+          {hidden.map((c) => (
+            <div key={c.id} style={styles.item}>
+              <label style={{ flex: 1, display: "flex", gap: 6, alignItems: "center" }}>
+                <input type="checkbox" checked={false} onChange={() => toggle(c.id)} />
+                {c.label}
+              </label>
+            </div>
+          ))}
+          <button style={styles.reset} onClick={reset}>Reset to default</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  menu: { position: "absolute", top: "100%", right: 0, marginTop: 4, width: 260, maxHeight: 420, overflowY: "auto", background: color.surface, border: `1px solid ${color.border}`, borderRadius: 8, boxShadow: `0 8px 24px ${color.shadow}`, padding: 6, zIndex: 20 },
+  heading: { padding: "6px 8px 2px", fontSize: 12, color: color.textMuted, textTransform: "uppercase" },
+  item: { display: "flex", alignItems: "center", gap: 4, padding: "4px 8px", fontSize: 14 },
+  arrow: { border: "none", background: "transparent", cursor: "pointer", color: color.textMuted, fontSize: 11 },
+  reset: { marginTop: 6, width: "100%", padding: "6px 8px", borderRadius: 6, border: `1px solid ${color.border}`, background: color.surface, cursor: "pointer" },
+};
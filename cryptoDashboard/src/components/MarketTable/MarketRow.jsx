@@ -0,0 +1,73 @@
+// src/components/MarketTable/MarketRow.jsx
+import React, { memo } from "react";
+import StarButton from "../Watchlist/StarButton";
+import { color } from "../../utils/themes";
+
+// Background tint for a cell whose value just moved; the transition fades it
+// out once the flash is cleared.
+function flashStyle(dir) {
+  return {
+    transition: 'background-color 0.8s ease',
+    background: dir === 'up' ? color.upSoft : dir === 'down' ? color.downSoft : 'transparent',
+    borderRadius: 4,
+  };
+}
+
+// compare checkbox + star + rank + minimum coin cell, plus the gaps between them
+export const PINNED_WIDTH = 20 + 24 + 40 + 200 + 3 * 12;
+
+// One market table row. Memoized so sorting, searching and scrolling only
+// re-render rows whose coin data actually changed. `active` marks the grid's
+// single tab stop; `index` is the row's position in the full (virtual) list.
+function MarketRow({ coin: c, index, active, onFocusRow, columns, currency, flash, starred, starTitle, onToggleStar, compared, compareDisabled, onToggleCompare, onSelect, height }) {
+  return (
+    <div
+      role="row"
+      aria-rowindex={index + 2}
+      aria-label={c.name}
+      data-row-index={index}
+      tabIndex={active ? 0 : -1}
+      style={{ ...styles.row, height }}
+      onClick={() => onSelect(c)}
+      onFocus={(e) => { if (e.target === e.currentTarget) onFocusRow(index); }}
+    >
+      <div role="gridcell" style={{ width: 20, flexShrink: 0 }} onClick={(e) => e.stopPropagation()}>
+        <input
+          type="checkbox"
+          checked={compared}
+          disabled={compareDisabled && !compared}
+          onChange={() => onToggleCompare(c.id)}
+          title={compareDisabled && !compared ? 'Comparison is full' : 'Select to compare'}
+          aria-label={`Compare ${c.name}`}
+        />
+      </div>
+      <div role="gridcell" style={{ width: 24, flexShrink: 0 }}>
+        <StarButton active={starred} onToggle={() => onToggleStar(c.id)} title={starTitle} />
+      </div>
+      <div role="gridcell" style={{ width: 40, flexShrink: 0, textAlign: 'center' }}>{c.market_cap_rank}</div>
+      <div role="gridcell" style={{ display: 'flex', gap: 12, alignItems: 'center', flex: 2, minWidth: 200 }}>
+        <img src={c.image} alt={`${c.name} logo`} loading="lazy" style={{ width: 28, height: 28, borderRadius: 8 }} />
+        <div style={{ minWidth: 0 }}>
+          <div style={{ fontWeight: 700, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{c.name} <span style={{ color: color.textMuted, fontSize: 13, marginLeft: 6 }}>{c.symbol.toUpperCase()}</span></div>
+          <div style={{ fontSize: 12, color: color.textMuted }}>{c.market_cap_rank ? `Rank #${c.market_cap_rank}` : ''}</div>
+        </div>
+      </div>
+
+      {columns.map((col) => (
+        <div
+          key={col.id}
+          role="gridcell"
+          style={{ width: col.width, flexShrink: 0, textAlign: 'right', overflow: 'hidden', ...(col.flashes ? flashStyle(flash?.[col.id]) : null) }}
+        >
+          {col.render(c, { currency })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default memo(MarketRow);
+
+const styles = {
+  row: { display: 'flex', gap: 12, padding: '0 8px', borderBottom: `1px solid ${color.borderSubtle}`, alignItems: 'center', cursor: 'pointer' },
+};
@@ -0,0 +1,293 @@
+// src/components/MarketTable/MarketTable.jsx
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import useVirtualRows from "../../hooks/useVirtualRows";
+import { MIN_COLUMN_WIDTH } from "./columns";
+import MarketRow, { PINNED_WIDTH } from "./MarketRow";
+import { formatCurrency } from "../../utils/format";
+import { color } from "../../utils/themes";
+
+const ROW_HEIGHT = 64;
+// start loading the next page this many rows before the end
+const END_THRESHOLD = 15;
+
+function SortIndicator({ active, dir }) {
+  if (!active) return null;
+  return <span aria-hidden="true" style={{ marginLeft: 4, fontSize: 10 }}>{dir === 'desc' ? '▼' : '▲'}</span>;
+}
+
+function ariaSort(active, dir) {
+  if (!active) return 'none';
+  return dir === 'desc' ? 'descending' : 'ascending';
+}
+
+// Header label as a real button so sorting is reachable from the keyboard.
+function SortButton({ id, label, sortKey, sortDir, onSort }) {
+  return (
+    <button type="button" style={styles.sortButton} onClick={() => onSort(id)}>
+      {label}
+      <SortIndicator active={sortKey === id} dir={sortDir} />
+    </button>
+  );
+}
+
+// Polite screen-reader summary of a live refresh: the focused coin's new
+// price when it moved, otherwise just how many prices changed.
+function describeFlashes(flashes, activeCoin, currency) {
+  const ids = Object.keys(flashes);
+  if (ids.length === 0) return '';
+  const move = activeCoin && flashes[activeCoin.id]?.current_price;
+  if (move) {
+    return `${activeCoin.name} ${move === 'up' ? 'up' : 'down'} to ${formatCurrency(activeCoin.current_price, currency)}`;
+  }
+  return `${ids.length} ${ids.length === 1 ? 'price' : 'prices'} updated`;
+}
+
+// Header cell for a configurable column: click sorts, dragging the label onto
+// another header reorders, and the grip on the right edge resizes.
+function HeaderCell({ column, sortKey, sortDir, onSort, onMove, onResize }) {
+  const [draftWidth, setDraftWidth] = useState(null);
+  const [dropTarget, setDropTarget] = useState(false);
+  const sortable = column.sortable !== false;
+
+  function startResize(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = column.width;
+    let width = startWidth;
+    function onMouseMove(ev) {
+      width = Math.max(MIN_COLUMN_WIDTH, startWidth + ev.clientX - startX);
+      setDraftWidth(width);
+    }
+    function onMouseUp() {
+      window.removeEventListener('mousemove', onMouseMove);
+      window.removeEventListener('mouseup', onMouseUp);
+      setDraftWidth(null);
+      onResize(column.id, width);
+    }
+    window.addEventListener('mousemove', onMouseMove);
+    window.addEventListener('mouseup', onMouseUp);
+  }
+
+  return (
+    <div
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData('text/x-column', column.id)}
+      onDragOver={(e) => { e.preventDefault(); setDropTarget(true); }}
+      onDragLeave={() => setDropTarget(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDropTarget(false);
+        const id = e.dataTransfer.getData('text/x-column');
+        if (id) onMove(id, column.id);
+      }}
+      role="columnheader"
+      aria-sort={sortable ? ariaSort(sortKey === column.id, sortDir) : undefined}
+      style={{
+        ...styles.headCell,
+        width: draftWidth ?? column.width,
+        cursor: 'grab',
+        boxShadow: dropTarget ? `inset 2px 0 0 ${color.link}` : 'none',
+        color: sortKey === column.id ? color.accent : undefined,
+      }}
+    >
+      {sortable
+        ? <SortButton id={column.id} label={column.label} sortKey={sortKey} sortDir={sortDir} onSort={onSort} />
+        : column.label}
+      <span style={styles.resizer} onMouseDown={startResize} aria-hidden="true" />
+    </div>
+  );
+}
+
+/**
+ * Virtualized market table: only the rows in (and near) the viewport are
+ * mounted, the header sticks to the top of the scroll area, and
+ * `onEndReached` fires as the user scrolls close to the last row, and
+ * `onVisibleRowsChange` gets the ids of the mounted rows as they change.
+ * Columns after the pinned star/rank/coin cells come from `layout`
+ * (see useColumnLayout).
+ *
+ * Exposed as an ARIA grid with a single tab stop: arrow keys, Home/End and
+ * PageUp/PageDown move between rows, Enter opens the focused coin.
+ */
+export default function MarketTable({
+  rows,
+  loading,
+  currency,
+  flashes,
+  isStarred,
+  starTitle,
+  onToggleStar,
+  isCompared,
+  compareFull,
+  onToggleCompare,
+  onSelect,
+  sortKey,
+  sortDir,
+  onSort,
+  layout,
+  onEndReached,
+  onVisibleRowsChange,
+  loadingMore,
+  emptyMessage,
+}) {
+  const { ref, start, end, offsetTop, totalHeight } = useVirtualRows({ count: rows.length, rowHeight: ROW_HEIGHT });
+
+  const onEndReachedRef = useRef(onEndReached);
+  const onVisibleRowsChangeRef = useRef(onVisibleRowsChange);
+  useEffect(() => {
+    onEndReachedRef.current = onEndReached;
+    onVisibleRowsChangeRef.current = onVisibleRowsChange;
+  });
+  useEffect(() => {
+    if (rows.length > 0 && end >= rows.length - END_THRESHOLD) onEndReachedRef.current?.();
+  }, [end, rows.length]);
+
+  const visibleIds = rows.slice(start, end).map((c) => c.id).join(',');
+  useEffect(() => {
+    onVisibleRowsChangeRef.current?.(visibleIds ? visibleIds.split(',') : []);
+  }, [visibleIds]);
+
+  // the focused row; rows outside the rendered window are scrolled into it first
+  const [activeIndex, setActiveIndex] = useState(0);
+  const focusPendingRef = useRef(false);
+  const active = Math.min(activeIndex, Math.max(0, rows.length - 1));
+
+  useEffect(() => {
+    if (!focusPendingRef.current || active < start || active >= end) return;
+    focusPendingRef.current = false;
+    ref.current?.querySelector(`[data-row-index="${active}"]`)?.focus();
+  }, [active, start, end, ref]);
+
+  function moveTo(index) {
+    const el = ref.current;
+    const next = Math.max(0, Math.min(rows.length - 1, index));
+    if (el) {
+      // the sticky header covers the first row's worth of the viewport
+      const top = next * ROW_HEIGHT;
+      const bottom = top + ROW_HEIGHT * 2;
+      if (top < el.scrollTop) el.scrollTop = top;
+      else if (bottom > el.scrollTop + el.clientHeight) el.scrollTop = bottom - el.clientHeight;
+    }
+    focusPendingRef.current = true;
+    setActiveIndex(next);
+  }
+
+  function onKeyDown(e) {
+    if (e.target.getAttribute('role') !== 'row' || rows.length === 0) return;
+    const page = Math.max(1, Math.floor((ref.current?.clientHeight ?? 0) / ROW_HEIGHT) - 1);
+    const moves = {
+      ArrowDown: active + 1,
+      ArrowUp: active - 1,
+      PageDown: active + page,
+      PageUp: active - page,
+      Home: 0,
+      End: rows.length - 1,
+    };
+    if (e.key in moves) {
+      e.preventDefault();
+      moveTo(moves[e.key]);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      onSelect(rows[active]);
+    }
+  }
+
+  const onRowFocus = useCallback((index) => setActiveIndex(index), []);
+  const announcement = describeFlashes(flashes, rows[active], currency);
+
+  const { columns } = layout;
+  // row gap is 12px; keeps the scroll width in step with the visible columns
+  const minWidth = columns.reduce((sum, col) => sum + col.width + 12, PINNED_WIDTH + 16);
+
+  return (
+    <div
+      ref={ref}
+      style={styles.scroller}
+      role="grid"
+      aria-label="Cryptocurrency market"
+      aria-rowcount={rows.length + 1}
+      aria-colcount={columns.length + 4}
+      aria-busy={loading || loadingMore}
+      onKeyDown={onKeyDown}
+    >
+      <div style={{ minWidth }} role="presentation">
+        <div style={styles.head} role="row" aria-rowindex={1}>
+          <div style={{ width: 20, flexShrink: 0 }} role="columnheader" title="Compare">
+            <span style={styles.srOnly}>Compare</span>
+          </div>
+          <div style={{ width: 24, flexShrink: 0 }} role="columnheader">
+            <span style={styles.srOnly}>Watchlist</span>
+          </div>
+          <div style={{ width: 40, flexShrink: 0, textAlign: 'center' }} role="columnheader" aria-sort={ariaSort(sortKey === 'market_cap_rank', sortDir)}>
+            <SortButton id="market_cap_rank" label="#" sortKey={sortKey} sortDir={sortDir} onSort={onSort} />
+          </div>
+          <div style={{ flex: 2, minWidth: 200 }} role="columnheader" aria-sort={ariaSort(sortKey === 'name', sortDir)}>
+            <SortButton id="name" label="Coin" sortKey={sortKey} sortDir={sortDir} onSort={onSort} />
+          </div>
+          {columns.map((col) => (
+            <HeaderCell
+              key={col.id}
+              column={col}
+              sortKey={sortKey}
+              sortDir={sortDir}
+              onSort={onSort}
+              onMove={layout.moveTo}
+              onResize={layout.resize}
+            />
+          ))}
+        </div>
+
+        {loading && (
+          <div style={{ padding: 20 }}>Loading data…</div>
+        )}
+
+        {!loading && (
+          <div style={{ height: totalHeight, position: 'relative' }} role="presentation">
+            <div style={{ transform: `translateY(${offsetTop}px)` }} role="presentation">
+              {rows.slice(start, end).map((c, i) => (
+                <MarketRow
+                  key={c.id}
+                  coin={c}
+                  index={start + i}
+                  active={start + i === active}
+                  onFocusRow={onRowFocus}
+                  columns={columns}
+                  currency={currency}
+                  flash={flashes[c.id]}
+                  starred={isStarred(c.id)}
+                  starTitle={starTitle}
+                  onToggleStar={onToggleStar}
+                  compared={isCompared(c.id)}
+                  compareDisabled={compareFull}
+                  onToggleCompare={onToggleCompare}
+                  onSelect={onSelect}
+                  height={ROW_HEIGHT}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
+        {rows.length === 0 && !loading && (
+          <div style={{ padding: 20, color: color.textMuted }}>{emptyMessage}</div>
+        )}
+
+        {loadingMore && (
+          <div style={{ padding: 12, textAlign: 'center', color: color.textMuted }}>Loading more…</div>
+        )}
+
+        <div style={styles.srOnly} aria-live="polite" aria-atomic="true">{announcement}</div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  scroller: { maxHeight: '75vh', overflow: 'auto', overflowAnchor: 'none', borderRadius: 8 },
+  head: { position: 'sticky', top: 0, zIndex: 1, background: color.surface, display: 'flex', gap: 12, padding: '12px 8px', color: color.textMuted, borderBottom: `1px solid ${color.borderSubtle}`, alignItems: 'center', fontSize: 14 },
+  headCell: { position: 'relative', flexShrink: 0, textAlign: 'right', userSelect: 'none', whiteSpace: 'nowrap', paddingRight: 6 },
+  resizer: { position: 'absolute', top: -6, right: -6, bottom: -6, width: 8, cursor: 'col-resize' },
+  sortButton: { background: 'none', border: 'none', padding: 0, font: 'inherit', color: 'inherit', cursor: 'pointer' },
+  srOnly: { position: 'absolute', width: 1, height: 1, overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap' },
+};
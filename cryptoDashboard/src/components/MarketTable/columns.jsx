@@ -0,0 +1,93 @@
+// src/components/MarketTable/columns.jsx
+// Column catalogue for the market table. `id` doubles as the sort key (a
+// field on the `/coins/markets` row) and `render` draws the cell.
+import React from "react";
+import { formatCurrency, formatNumber, formatPercent, formatPrice } from "../../utils/format";
+import Sparkline from "../Sparkline";
+import { color } from "../../utils/themes";
+
+function changeCell(field) {
+  return (c) => {
+    const v = c[field];
+    if (typeof v !== 'number') return <span style={{ color: color.textMuted }}>-</span>;
+    return <span style={{ color: v >= 0 ? color.up : color.down }}>{formatPercent(v)}</span>;
+  };
+}
+
+// Hourly `sparkline_in_7d` prices thinned to one point per ~4h for a 140px
+// cell. Cached per source array so an unchanged row hands Sparkline the same
+// array and its memo holds; a polled row brings a new array and recomputes.
+const sparkCache = new WeakMap();
+const NO_POINTS = [];
+
+function sparkPoints(prices, points = 42) {
+  if (!prices?.length) return NO_POINTS;
+  let thinned = sparkCache.get(prices);
+  if (!thinned) {
+    const stride = Math.max(1, Math.floor(prices.length / points));
+    thinned = prices.filter((_, i) => i % stride === 0 || i === prices.length - 1);
+    sparkCache.set(prices, thinned);
+  }
+  return thinned;
+}
+
+function supplyCell(field) {
+  return (c, { currency }) => (c[field] ? formatNumber(Math.round(c[field]), currency) : '-');
+}
+
+export const COLUMNS = [
+  { id: 'current_price', label: 'Price', width: 120, flashes: true, render: (c, { currency }) => formatPrice(c.current_price, currency) },
+  { id: 'price_change_percentage_1h_in_currency', label: '1h', width: 90, render: changeCell('price_change_percentage_1h_in_currency') },
+  { id: 'price_change_percentage_24h', label: '24h', width: 100, flashes: true, render: changeCell('price_change_percentage_24h') },
+  { id: 'price_change_percentage_7d_in_currency', label: '7d', width: 90, render: changeCell('price_change_percentage_7d_in_currency') },
+  { id: 'price_change_percentage_14d_in_currency', label: '14d', width: 90, render: changeCell('price_change_percentage_14d_in_currency') },
+  { id: 'price_change_percentage_30d_in_currency', label: '30d', width: 90, render: changeCell('price_change_percentage_30d_in_currency') },
+  { id: 'price_change_percentage_1y_in_currency', label: '1y', width: 90, render: changeCell('price_change_percentage_1y_in_currency') },
+  { id: 'total_volume', label: '24h Volume', width: 160, render: (c, { currency }) => (c.total_volume ? formatCurrency(c.total_volume, currency) : '-') },
+  { id: 'market_cap', label: 'Market Cap', width: 160, render: (c, { currency }) => (c.market_cap ? formatCurrency(c.market_cap, currency) : '-') },
+  { id: 'fully_diluted_valuation', label: 'FDV', width: 160, render: (c, { currency }) => (c.fully_diluted_valuation ? formatCurrency(c.fully_diluted_valuation, currency) : '-') },
+  { id: 'circulating_supply', label: 'Circulating Supply', width: 170, render: supplyCell('circulating_supply') },
+  { id: 'total_supply', label: 'Total Supply', width: 170, render: supplyCell('total_supply') },
+  { id: 'max_supply', label: 'Max Supply', width: 170, render: supplyCell('max_supply') },
+  { id: 'ath', label: 'ATH', width: 120, render: (c, { currency }) => formatPrice(c.ath, currency) },
+  { id: 'ath_change_percentage', label: 'From ATH', width: 100, render: changeCell('ath_change_percentage') },
+  { id: 'atl', label: 'ATL', width: 120, render: (c, { currency }) => formatPrice(c.atl, currency) },
+  {
+    id: 'sparkline',
+    label: 'Last 7 Days',
+    width: 160,
+    sortable: false,
+    exportable: false,
+    render: (c) => (
+      <Sparkline data={sparkPoints(c.sparkline_in_7d?.price)} width={140} height={40} stroke={c.price_change_percentage_24h >= 0 ? color.up : color.down} />
+    ),
+  },
+];
+
+export const DEFAULT_LAYOUT = ['current_price', 'price_change_percentage_24h', 'total_volume', 'market_cap', 'sparkline']
+  .map((id) => ({ id, width: COLUMNS.find((c) => c.id === id).width }));
+
+export const MIN_COLUMN_WIDTH = 70;
+
+// Fixed identity columns that lead every export, ahead of the visible ones.
+const EXPORT_IDENTITY = [
+  { id: 'market_cap_rank', label: 'Rank' },
+  { id: 'id', label: 'ID' },
+  { id: 'name', label: 'Name' },
+  { id: 'symbol', label: 'Symbol' },
+];
+
+/**
+ * Export table (see utils/export) for `rows` with the given visible columns,
+ * in the order they are shown. Values are the raw API fields.
+ */
+export function marketExport(rows, columns, { title, meta }) {
+  const cols = [...EXPORT_IDENTITY, ...columns.filter((c) => c.exportable !== false).map(({ id, label }) => ({ id, label }))];
+  return {
+    title,
+    exportedAt: new Date(),
+    meta,
+    columns: cols,
+    rows: rows.map((c) => cols.map((col) => (col.id === 'symbol' ? c.symbol?.toUpperCase() : c[col.id] ?? null))),
+  };
+}
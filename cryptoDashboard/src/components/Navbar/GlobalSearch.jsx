@@ -0,0 +1,125 @@
+// src/components/Navbar/GlobalSearch.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { fetchSearch, isAbortError } from "../../api";
+import useDebounced from "../../hooks/useDebounced";
+import { color } from "../../utils/themes";
+
+const MAX_RESULTS = 8;
+
+// Whole-market coin search (the search endpoint, not just the loaded pages).
+// Arrow keys move through results, Enter opens the coin page, Escape closes.
+export default function GlobalSearch() {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const rootRef = useRef(null);
+  const debounced = useDebounced(query, 250);
+
+  useEffect(() => {
+    if (!debounced.trim()) {
+      setResults([]);
+      return;
+    }
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchSearch(debounced, controller.signal)
+      .then((coins) => { setResults(coins.slice(0, MAX_RESULTS)); setActiveIndex(-1); })
+      .catch((err) => { if (!isAbortError(err)) setError(err.message); })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [debounced]);
+
+  useEffect(() => {
+    if (!open) return;
+    function onDocClick(e) {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", onDocClick);
+    return () => document.removeEventListener("mousedown", onDocClick);
+  }, [open]);
+
+  function choose(coin) {
+    navigate(`/coins/${coin.id}`);
+    setQuery("");
+    setOpen(false);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setOpen(true);
+      setActiveIndex((i) => Math.min(results.length - 1, i + 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(-1, i - 1));
+    } else if (e.key === "Enter") {
+      // until the search for what's typed has come back, the list still
+      // holds the previous query's coins
+      if (debounced !== query || loading) return;
+      const coin = results[activeIndex] || results[0];
+      if (coin) choose(coin);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      e.currentTarget.blur();
+    }
+  }
+
+  const showList = open && query.trim() !== "";
+
+  return (
+    <div ref={rootRef} style={{ position: "relative", flex: 1, maxWidth: 420 }}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={onKeyDown}
+        placeholder="Search all coins"
+        style={styles.input}
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls="global-search-results"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 && results[activeIndex] ? `global-search-${results[activeIndex].id}` : undefined}
+        aria-label="Search all coins"
+      />
+      {showList && (
+        <ul id="global-search-results" role="listbox" style={styles.list}>
+          {loading && results.length === 0 && <li style={styles.note}>Searching…</li>}
+          {error && <li style={{ ...styles.note, color: color.danger }}>{error}</li>}
+          {!loading && !error && debounced === query && results.length === 0 && <li style={styles.note}>No coins found</li>}
+          {results.map((coin, idx) => (
+            <li
+              key={coin.id}
+              id={`global-search-${coin.id}`}
+              role="option"
+              aria-selected={idx === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(coin)}
+              onMouseEnter={() => setActiveIndex(idx)}
+              style={{ ...styles.item, background: idx === activeIndex ? color.surfaceAlt : "transparent" }}
+            >
+              <img src={coin.thumb} alt={`${coin.name} logo`} style={{ width: 18, height: 18, borderRadius: 9 }} />
+              <span style={{ fontWeight: 600 }}>{coin.name}</span>
+              <span style={{ color: color.textMuted, fontSize: 13 }}>{coin.symbol?.toUpperCase()}</span>
+              <span style={{ marginLeft: "auto", color: color.textMuted, fontSize: 12 }}>{coin.market_cap_rank ? `#${coin.market_cap_rank}` : ""}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  input: { width: "100%", padding: "7px 12px", borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text },
+  list: { position: "absolute", top: "100%", left: 0, right: 0, marginTop: 4, listStyle: "none", background: color.surface, border: `1px solid ${color.border}`, borderRadius: 8, boxShadow: `0 8px 24px ${color.shadow}`, padding: 4, zIndex: 30 },
+  item: { display: "flex", gap: 8, alignItems: "center", padding: "6px 8px", borderRadius: 6, cursor: "pointer" },
+  note: { padding: "6px 8px", color: color.textMuted, fontSize: 13 },
+};
@@ -0,0 +1,69 @@
+// src/components/Navbar/SettingsMenu.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { FaCog } from "react-icons/fa";
+import { REFRESH_INTERVALS } from "../../api/live";
+import { useCurrency } from "../../context/currency";
+import { CURRENCIES } from "../../utils/currencies";
+import { color } from "../../utils/themes";
+import ThemeToggle from "./ThemeToggle";
+
+// Gear dropdown with quote currency, theme and live refresh interval.
+export default function SettingsMenu({ refreshInterval, onRefreshIntervalChange }) {
+  const { currency, setCurrency } = useCurrency();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    function onDocClick(e) {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    }
+    function onKey(e) {
+      if (e.key === 'Escape') setOpen(false);
+    }
+    document.addEventListener('mousedown', onDocClick);
+    document.addEventListener('keydown', onKey);
+    return () => {
+      document.removeEventListener('mousedown', onDocClick);
+      document.removeEventListener('keydown', onKey);
+    };
+  }, [open]);
+
+  return (
+    <div ref={rootRef} style={{ position: 'relative' }}>
+      <button style={styles.button} onClick={() => setOpen((o) => !o)} aria-haspopup="true" aria-expanded={open} title="Settings">
+        <FaCog aria-hidden /> {currency.toUpperCase()}
+      </button>
+      {open && (
+        <div style={styles.menu}>
+          <label style={styles.row}>
+            Currency
+            <select value={currency} onChange={(e) => setCurrency(e.target.value)} style={styles.select}>
+              {Object.values(CURRENCIES).map((cur) => (
+                <option key={cur.id} value={cur.id}>{cur.code}</option>
+              ))}
+            </select>
+          </label>
+          <div style={styles.row}>
+            <ThemeToggle />
+          </div>
+          <label style={styles.row}>
+            Refresh
+            <select value={refreshInterval} onChange={(e) => onRefreshIntervalChange(Number(e.target.value))} style={styles.select}>
+              {REFRESH_INTERVALS.map((opt) => (
+                <option key={opt.value} value={opt.value}>Every {opt.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  button: { display: 'flex', gap: 6, alignItems: 'center', padding: '6px 10px', borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, color: color.text, cursor: 'pointer' },
+  menu: { position: 'absolute', top: '100%', right: 0, marginTop: 4, width: 300, background: color.surface, border: `1px solid ${color.border}`, borderRadius: 8, boxShadow: `0 8px 24px ${color.shadow}`, padding: 8, zIndex: 30 },
+  row: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8, padding: '6px 4px', fontSize: 14 },
+  select: { padding: '4px 6px', borderRadius: 6, border: `1px solid ${color.border}`, background: color.surface, color: color.text },
+};
@@ -0,0 +1,36 @@
+// src/components/Navbar/ThemeToggle.jsx
+import React from "react";
+import { FaAdjust, FaMoon, FaSun } from "react-icons/fa";
+import { useTheme } from "../../context/theme";
+import { color, THEME_MODES } from "../../utils/themes";
+
+const ICONS = { light: FaSun, dark: FaMoon, "high-contrast": FaAdjust };
+
+// Theme mode picker plus the colorblind-safe up/down palette switch.
+export default function ThemeToggle() {
+  const { mode, setMode, palette, setPalette, theme } = useTheme();
+  const Icon = ICONS[theme.id] || FaSun;
+
+  return (
+    <div style={{ display: 'flex', gap: 10, alignItems: 'center', fontSize: 14 }}>
+      <label style={{ display: 'flex', gap: 6, alignItems: 'center' }} title="Theme">
+        <Icon aria-hidden />
+        <select value={mode} onChange={(e) => setMode(e.target.value)} style={styles.select} aria-label="Theme">
+          {THEME_MODES.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+      </label>
+      <label style={{ display: 'flex', gap: 6, alignItems: 'center' }} title="Blue/orange instead of green/red for price moves">
+        <input
+          type="checkbox"
+          checked={palette === 'colorblind'}
+          onChange={(e) => setPalette(e.target.checked ? 'colorblind' : 'standard')}
+        />
+        Colorblind-safe
+      </label>
+    </div>
+  );
+}
+
+const styles = {
+  select: { padding: '4px 6px', borderRadius: 6, border: `1px solid ${color.border}`, background: color.surface, color: color.text },
+};
@@ -1,16 +1,54 @@
 import React from 'react'
-import './navbar.css'
+import { Link, useLocation } from "react-router-dom";
 import { MdApps } from "react-icons/md";
+import { color } from "../../utils/themes";
+import GlobalSearch from "./GlobalSearch";
+import SettingsMenu from "./SettingsMenu";
+
+// `match` decides the active link; Markets and Watchlist share the "/" route
+// and differ only in the table's filter param.
+const LINKS = [
+  { id: 'markets', label: 'Markets', to: '/', match: (loc, filter) => loc.pathname === '/' && filter !== 'watchlist' },
+  { id: 'watchlist', label: 'Watchlist', to: '/?filter=watchlist', match: (loc, filter) => loc.pathname === '/' && filter === 'watchlist' },
+  { id: 'portfolio', label: 'Portfolio', to: '/portfolio', match: (loc) => loc.pathname.startsWith('/portfolio') },
+  { id: 'categories', label: 'Categories', to: '/categories', match: (loc) => loc.pathname.startsWith('/categories') },
+  { id: 'convert', label: 'Converter', to: '/convert', match: (loc) => loc.pathname.startsWith('/convert') },
+  { id: 'alerts', label: 'Alerts', to: '/alerts', match: (loc) => loc.pathname.startsWith('/alerts') },
+];
+
+const Navbar = ({ alertsUnread, refreshInterval, onRefreshIntervalChange }) => {
+  const location = useLocation();
+  const filter = new URLSearchParams(location.search).get('filter');
 
-const Navbar = () => {
   return (
-    <div className='navbar'>
-      <p><MdApps /></p>
-      <h1>
-        
-      </h1>
-    </div>
+    <nav style={styles.navbar}>
+      <Link to="/" style={styles.brand}>
+        <MdApps size={22} aria-hidden />
+        <span>Crypto Dashboard</span>
+      </Link>
+      <div style={{ display: 'flex', gap: 2 }}>
+        {LINKS.map((l) => {
+          const active = l.match(location, filter);
+          return (
+            <Link key={l.id} to={l.to} style={active ? styles.linkActive : styles.link} aria-current={active ? 'page' : undefined}>
+              {l.label}
+              {l.id === 'alerts' && alertsUnread > 0 && <span style={styles.badge}>{alertsUnread}</span>}
+            </Link>
+          );
+        })}
+      </div>
+      <GlobalSearch />
+      <SettingsMenu refreshInterval={refreshInterval} onRefreshIntervalChange={onRefreshIntervalChange} />
+    </nav>
   )
 }
 
+const styles = {
+  navbar: { position: 'sticky', top: 0, zIndex: 40, display: 'flex', gap: 16, alignItems: 'center', padding: '10px 16px', background: color.surface, borderBottom: `1px solid ${color.border}`, color: color.text },
+  brand: { display: 'flex', gap: 8, alignItems: 'center', fontSize: 18, fontWeight: 700, whiteSpace: 'nowrap' },
+  link: { padding: '6px 10px', borderRadius: 6, color: color.textMuted, fontSize: 15 },
+  linkActive: { padding: '6px 10px', borderRadius: 6, color: color.text, background: color.surfaceAlt, fontSize: 15, fontWeight: 600 },
+  badge: { marginLeft: 6, padding: '1px 6px', borderRadius: 9, background: color.down, color: color.accentText, fontSize: 11, fontWeight: 700 },
+};
+
 export default Navbar;
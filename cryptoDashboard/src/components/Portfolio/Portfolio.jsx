@@ -0,0 +1,245 @@
+// src/components/Portfolio/Portfolio.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { Chart } from "react-google-charts";
+import { fetchExchangeRates, isAbortError } from "../../api";
+import useCoinsById from "../../hooks/useCoinsById";
+import usePortfolio from "../../hooks/usePortfolio";
+import { convertCurrency } from "../../utils/currencies";
+import { formatCurrency, formatNumber, formatPercent, formatPrice } from "../../utils/format";
+import { computeHoldings, removalWouldOverdraw, TRANSACTION_TYPES } from "../../utils/portfolio";
+import TransactionForm from "./TransactionForm";
+import { useTheme } from "../../context/theme";
+import { color } from "../../utils/themes";
+
+function pnlColor(n) {
+  if (!n) return undefined;
+  return n > 0 ? color.up : color.down;
+}
+
+export default function Portfolio({ coins, currency, onSelectCoin }) {
+  const { transactions, addTransaction, removeTransaction } = usePortfolio();
+  const [rates, setRates] = useState(null);
+  const [ratesError, setRatesError] = useState(null);
+  const [deleteError, setDeleteError] = useState(null);
+  // chart options need resolved colors, not CSS variables
+  const themeColors = useTheme().theme.colors;
+
+  const heldIds = useMemo(() => [...new Set(transactions.map((t) => t.coinId))], [transactions]);
+  const market = useCoinsById(heldIds, coins, currency);
+
+  // exchange rates are only needed when some transactions were entered in
+  // another currency than the one being displayed
+  const needsRates = transactions.some((t) => t.currency !== currency);
+  useEffect(() => {
+    if (!needsRates) return;
+    const controller = new AbortController();
+    setRatesError(null);
+    fetchExchangeRates(controller.signal)
+      .then(setRates)
+      .catch((err) => { if (!isAbortError(err)) setRatesError(err.message); });
+    return () => controller.abort();
+  }, [needsRates]);
+
+  const { holdings, totals } = useMemo(() => computeHoldings(transactions, {
+    priceOf: (id) => market.byId.get(id)?.current_price ?? null,
+    convert: (amount, from) => convertCurrency(amount, from, currency, rates),
+  }), [transactions, market.byId, currency, rates]);
+
+  const coinOptions = useMemo(() => {
+    const all = new Map(coins.map((c) => [c.id, c]));
+    for (const row of market.rows) all.set(row.id, row);
+    return [...all.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [coins, market.rows]);
+
+  const allocationData = useMemo(() => [
+    ["Coin", "Value"],
+    ...holdings.filter((h) => h.value > 0).map((h) => [market.byId.get(h.coinId)?.name || h.coinId, h.value]),
+  ], [holdings, market.byId]);
+
+  const nameOf = (id) => market.byId.get(id)?.name || id;
+  const typeLabel = (id) => TRANSACTION_TYPES.find((t) => t.id === id)?.label || id;
+
+  // the same balance check as adding a sell: a buy that later sells relied
+  // on can't be removed out from under them
+  function deleteTransaction(id) {
+    if (removalWouldOverdraw(transactions, id)) {
+      const tx = transactions.find((t) => t.id === id);
+      return setDeleteError(`Deleting this ${typeLabel(tx.type).toLowerCase()} would leave later sells or transfers of ${nameOf(tx.coinId)} without the coins they moved. Delete those first.`);
+    }
+    setDeleteError(null);
+    removeTransaction(id);
+  }
+
+  return (
+    <section style={{ marginTop: 16 }}>
+      <div style={styles.summary}>
+        <div style={styles.card}>
+          <div style={styles.cardLabel}>Current value</div>
+          <div style={styles.cardValue}>{formatCurrency(totals.value, currency)}</div>
+        </div>
+        <div style={styles.card}>
+          <div style={styles.cardLabel}>Cost basis</div>
+          <div style={styles.cardValue}>{formatCurrency(totals.cost, currency)}</div>
+        </div>
+        <div style={styles.card}>
+          <div style={styles.cardLabel}>Unrealized P&amp;L</div>
+          <div style={{ ...styles.cardValue, color: pnlColor(totals.unrealized) }}>
+            {formatCurrency(totals.unrealized, currency)}
+            {totals.cost > 0 && totals.unrealized != null && <span style={{ fontSize: 13, marginLeft: 6 }}>{formatPercent((totals.unrealized / totals.cost) * 100)}</span>}
+          </div>
+        </div>
+        <div style={styles.card}>
+          <div style={styles.cardLabel}>Realized P&amp;L</div>
+          <div style={{ ...styles.cardValue, color: pnlColor(totals.realized) }}>{formatCurrency(totals.realized, currency)}</div>
+        </div>
+      </div>
+
+      <div style={{ ...styles.card, marginTop: 12 }}>
+        <h3 style={{ margin: "0 0 10px" }}>Add transaction</h3>
+        <TransactionForm coins={coinOptions} transactions={transactions} currency={currency} onAdd={addTransaction} />
+        {needsRates && !rates && !ratesError && (
+          <div style={{ marginTop: 8, fontSize: 13, color: color.textMuted }}>Loading exchange rates for transactions in other currencies…</div>
+        )}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 320px", gap: 12, marginTop: 12 }}>
+        <div style={styles.card}>
+          <h3 style={{ margin: "0 0 10px" }}>Holdings</h3>
+          {holdings.length === 0 && <div style={{ color: color.textMuted }}>No transactions yet.</div>}
+          {holdings.length > 0 && (
+            <table style={styles.table}>
+              <thead>
+                <tr style={styles.headRow}>
+                  <th style={styles.thLeft}>Coin</th>
+                  <th style={styles.th}>Quantity</th>
+                  <th style={styles.th}>Avg cost</th>
+                  <th style={styles.th}>Price</th>
+                  <th style={styles.th}>Value</th>
+                  <th style={styles.th}>Unrealized</th>
+                  <th style={styles.th}>Realized</th>
+                  <th style={styles.th}>Allocation</th>
+                </tr>
+              </thead>
+              <tbody>
+                {holdings.map((h) => {
+                  const coin = market.byId.get(h.coinId);
+                  return (
+                    <tr key={h.coinId} style={coin ? styles.row : undefined} onClick={() => coin && onSelectCoin?.(coin)}>
+                      <td style={styles.tdLeft}>
+                        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                          {coin?.image && <img src={coin.image} alt={`${coin.name} logo`} style={{ width: 20, height: 20, borderRadius: 10 }} />}
+                          {coin && onSelectCoin ? (
+                            // the row click is a mouse shortcut; this is the keyboard target
+                            <button
+                              type="button"
+                              style={styles.coinButton}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                onSelectCoin(coin);
+                              }}
+                            >
+                              {nameOf(h.coinId)}
+                            </button>
+                          ) : (
+                            <span style={{ fontWeight: 600 }}>{nameOf(h.coinId)}</span>
+                          )}
+                        </div>
+                      </td>
+                      <td style={styles.td}>{formatNumber(h.quantity, currency)}</td>
+                      <td style={styles.td}>{formatPrice(h.averageCost, currency)}</td>
+                      <td style={styles.td}>{formatPrice(h.price, currency)}</td>
+                      <td style={styles.td}>{formatCurrency(h.value, currency)}</td>
+                      <td style={{ ...styles.td, color: pnlColor(h.unrealized) }}>{formatCurrency(h.unrealized, currency)}</td>
+                      <td style={{ ...styles.td, color: pnlColor(h.realized) }}>{formatCurrency(h.realized, currency)}</td>
+                      <td style={styles.td}>{formatPercent(h.allocation)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          {holdings.some((h) => h.cost == null) && (
+            <div style={{ marginTop: 8, fontSize: 13, color: ratesError ? color.danger : color.textMuted }}>
+              {ratesError
+                ? `Exchange rates unavailable (${ratesError}); cost basis and P&L are unknown for holdings bought in other currencies.`
+                : 'Cost basis and P&L for holdings bought in other currencies appear once exchange rates load.'}
+            </div>
+          )}
+          {market.error && <div style={{ marginTop: 8, color: color.danger }}>Price lookup failed: {market.error}</div>}
+        </div>
+
+        <div style={styles.card}>
+          <h3 style={{ margin: "0 0 10px" }}>Allocation</h3>
+          {allocationData.length > 1 ? (
+            <Chart
+              chartType="PieChart"
+              data={allocationData}
+              options={{
+                pieHole: 0.5,
+                legend: { position: "bottom", textStyle: { color: themeColors.text } },
+                chartArea: { width: "90%", height: "75%" },
+                backgroundColor: "transparent",
+                pieSliceBorderColor: themeColors.surface,
+              }}
+              width="100%"
+              height="280px"
+            />
+          ) : (
+            <div style={{ color: color.textMuted }}>Nothing to chart yet.</div>
+          )}
+        </div>
+      </div>
+
+      {transactions.length > 0 && (
+        <div style={{ ...styles.card, marginTop: 12 }}>
+          <h3 style={{ margin: "0 0 10px" }}>Transactions</h3>
+          {deleteError && <div role="alert" style={{ marginBottom: 8, color: color.danger }}>{deleteError}</div>}
+          <table style={styles.table}>
+            <thead>
+              <tr style={styles.headRow}>
+                <th style={styles.thLeft}>Date</th>
+                <th style={styles.thLeft}>Type</th>
+                <th style={styles.thLeft}>Coin</th>
+                <th style={styles.th}>Quantity</th>
+                <th style={styles.th}>Price</th>
+                <th style={styles.th}>Fee</th>
+                <th style={styles.th} />
+              </tr>
+            </thead>
+            <tbody>
+              {[...transactions].sort((a, b) => new Date(b.date) - new Date(a.date)).map((t) => (
+                <tr key={t.id}>
+                  <td style={styles.tdLeft}>{new Date(t.date).toLocaleString()}</td>
+                  <td style={styles.tdLeft}>{typeLabel(t.type)}</td>
+                  <td style={styles.tdLeft}>{nameOf(t.coinId)}</td>
+                  <td style={styles.td}>{formatNumber(t.quantity, t.currency)}</td>
+                  <td style={styles.td}>{formatPrice(t.price, t.currency)}</td>
+                  <td style={styles.td}>{formatPrice(t.fee, t.currency)}</td>
+                  <td style={styles.td}>
+                    <button style={styles.remove} onClick={() => deleteTransaction(t.id)} title="Delete transaction" aria-label="Delete transaction">✕</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+const styles = {
+  summary: { display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12 },
+  card: { background: color.surface, borderRadius: 10, padding: 14, boxShadow: `0 1px 3px ${color.shadow}`, border: `1px solid ${color.borderSubtle}` },
+  cardLabel: { color: color.textMuted, fontSize: 13 },
+  cardValue: { fontSize: 18, fontWeight: 700, marginTop: 6 },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 14 },
+  headRow: { color: color.textMuted, borderBottom: `1px solid ${color.borderSubtle}` },
+  th: { textAlign: "right", padding: "8px 6px", fontWeight: 500 },
+  thLeft: { textAlign: "left", padding: "8px 6px", fontWeight: 500 },
+  td: { textAlign: "right", padding: "8px 6px", borderBottom: `1px solid ${color.borderSubtle}` },
+  tdLeft: { textAlign: "left", padding: "8px 6px", borderBottom: `1px solid ${color.borderSubtle}` },
+  row: { cursor: "pointer" },
+  coinButton: { background: "none", border: "none", padding: 0, font: "inherit", fontWeight: 600, color: "inherit", cursor: "pointer", textAlign: "left" },
+  remove: { border: "none", background: "transparent", cursor: "pointer", color: color.textFaint },
+};
@@ -0,0 +1,81 @@
+// src/components/Portfolio/TransactionForm.jsx
+import React, { useState } from "react";
+import { TRANSACTION_TYPES, wouldOverdraw } from "../../utils/portfolio";
+import { getCurrency } from "../../utils/currencies";
+import { color } from "../../utils/themes";
+
+function nowLocal() {
+  const d = new Date();
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
+
+export default function TransactionForm({ coins, transactions, currency, onAdd }) {
+  const [type, setType] = useState("buy");
+  const [coinId, setCoinId] = useState("");
+  const [quantity, setQuantity] = useState("");
+  const [price, setPrice] = useState("");
+  const [fee, setFee] = useState("");
+  const [date, setDate] = useState(nowLocal);
+  const [error, setError] = useState(null);
+
+  function selectCoin(id) {
+    setCoinId(id);
+    const coin = coins.find((c) => c.id === id);
+    if (coin && coin.current_price != null) setPrice(String(coin.current_price));
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    const qty = Number(quantity);
+    const unit = price === "" ? 0 : Number(price);
+    const feeAmount = fee === "" ? 0 : Number(fee);
+    if (!coinId) return setError("Choose a coin.");
+    if (!(qty > 0)) return setError("Quantity must be greater than zero.");
+    if (!(unit >= 0) || !(feeAmount >= 0)) return setError("Price and fee cannot be negative.");
+    const tx = {
+      coinId,
+      type,
+      quantity: qty,
+      price: unit,
+      fee: feeAmount,
+      currency,
+      date: new Date(date).toISOString(),
+    };
+    // checked against the balance on the transaction's date, so a back-dated
+    // sell can't spend coins bought later
+    if ((type === "sell" || type === "transfer_out") && wouldOverdraw(transactions, tx)) {
+      return setError("You can't move more than you hold on that date, counting sells recorded after it.");
+    }
+    onAdd(tx);
+    setQuantity("");
+    setFee("");
+    setError(null);
+  }
+
+  const code = getCurrency(currency).code;
+
+  return (
+    <form onSubmit={submit} style={styles.form}>
+      <select value={type} onChange={(e) => setType(e.target.value)} style={styles.input}>
+        {TRANSACTION_TYPES.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+      </select>
+      <select value={coinId} onChange={(e) => selectCoin(e.target.value)} style={{ ...styles.input, minWidth: 160 }}>
+        <option value="">Coin…</option>
+        {coins.map((c) => <option key={c.id} value={c.id}>{c.name} ({c.symbol.toUpperCase()})</option>)}
+      </select>
+      <input type="number" step="any" min="0" placeholder="Quantity" value={quantity} onChange={(e) => setQuantity(e.target.value)} style={styles.input} />
+      <input type="number" step="any" min="0" placeholder={`Price (${code})`} value={price} onChange={(e) => setPrice(e.target.value)} style={styles.input} />
+      <input type="number" step="any" min="0" placeholder={`Fee (${code})`} value={fee} onChange={(e) => setFee(e.target.value)} style={styles.input} />
+      <input type="datetime-local" value={date} onChange={(e) => setDate(e.target.value)} style={styles.input} />
+      <button type="submit" style={styles.submit}>Add</button>
+      {error && <div style={{ color: color.down, width: "100%" }}>{error}</div>}
+    </form>
+  );
+}
+
+const styles = {
+  form: { display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" },
+  input: { padding: "6px 8px", borderRadius: 8, border: `1px solid ${color.border}`, width: 130 },
+  submit: { padding: "6px 14px", borderRadius: 8, border: "none", background: color.accent, color: color.accentText, cursor: "pointer" },
+};
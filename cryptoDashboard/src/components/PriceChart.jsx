@@ -0,0 +1,170 @@
+// src/components/PriceChart.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { Chart } from "react-google-charts";
+import { fetchHistory, isAbortError, isHistoryUnsupported } from "../api";
+import { getCurrency } from "../utils/currencies";
+import ExportMenu from "./ExportMenu";
+import { bucketVolumes, CHART_RANGES, getRange, toOhlc } from "../utils/chart";
+import { useTheme } from "../context/theme";
+import { color } from "../utils/themes";
+
+// Google Charts formats axis/tooltip numbers with ICU patterns.
+function pricePattern(currency) {
+  const cur = getCurrency(currency);
+  return cur.fiat ? `${cur.code} #,##0.########` : `${cur.symbol}#,##0.########`;
+}
+
+// Raw history rows for export: one row per price point, with the volume
+// sampled at the same timestamp when the series line up.
+function historyExport(history, { coinId, currency, range }) {
+  const volumes = new Map((history.total_volumes || []).map(([ts, v]) => [ts, v]));
+  const caps = new Map((history.market_caps || []).map(([ts, v]) => [ts, v]));
+  return {
+    title: `${coinId} price history`,
+    exportedAt: new Date(),
+    meta: [["Coin", coinId], ["Currency", currency.toUpperCase()], ["Range", range.label]],
+    columns: [
+      { id: "timestamp", label: "Timestamp (ms)" },
+      { id: "date", label: "Date (UTC)" },
+      { id: "price", label: "Price" },
+      { id: "volume", label: "Volume" },
+      { id: "market_cap", label: "Market Cap" },
+    ],
+    rows: history.prices.map(([ts, p]) => [ts, new Date(ts).toISOString(), p, volumes.get(ts) ?? null, caps.get(ts) ?? null]),
+  };
+}
+
+export default function PriceChart({ coinId, currency }) {
+  const [rangeId, setRangeId] = useState("7d");
+  const [mode, setMode] = useState("line");
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const range = getRange(rangeId);
+  // chart options need resolved colors, not CSS variables
+  const themeColors = useTheme().theme.colors;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    // don't keep drawing the previous coin or range under the new buttons
+    setHistory(null);
+    fetchHistory(coinId, { vs_currency: currency, days: range.days, signal: controller.signal })
+      .then(setHistory)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setError(isHistoryUnsupported(range.days) ? "Full history needs a paid API plan." : err.message);
+      })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [coinId, currency, range.days]);
+
+  const { priceData, volumeData, up } = useMemo(() => {
+    if (!history?.prices?.length) return { priceData: null, volumeData: null, up: true };
+    const prices = history.prices;
+    const up = prices[prices.length - 1][1] >= prices[0][1];
+
+    if (mode === "candles") {
+      const candles = toOhlc(prices, range.bucket);
+      const vols = bucketVolumes(history.total_volumes || [], range.bucket);
+      return {
+        up,
+        priceData: [
+          ["Time", "Low", "Open", "Close", "High"],
+          ...candles.map((c) => [new Date(c.time), c.low, c.open, c.close, c.high]),
+        ],
+        volumeData: [
+          ["Time", "Volume"],
+          ...candles.map((c) => [new Date(c.time), vols.get(c.time) ?? 0]),
+        ],
+      };
+    }
+    return {
+      up,
+      priceData: [["Time", "Price"], ...prices.map(([ts, p]) => [new Date(ts), p])],
+      volumeData: [["Time", "Volume"], ...(history.total_volumes || []).map(([ts, v]) => [new Date(ts), v])],
+    };
+  }, [history, mode, range.bucket]);
+
+  const common = {
+    legend: "none",
+    backgroundColor: "transparent",
+    chartArea: { left: 70, right: 12, top: 10, bottom: 24 },
+    hAxis: { gridlines: { color: "transparent" }, textStyle: { fontSize: 11, color: themeColors.textMuted } },
+    focusTarget: "category",
+    crosshair: { trigger: "both", orientation: "both", color: themeColors.textFaint, opacity: 0.6 },
+  };
+
+  const priceOptions = {
+    ...common,
+    vAxis: { format: pricePattern(currency), textStyle: { fontSize: 11, color: themeColors.textMuted }, gridlines: { color: themeColors.borderSubtle } },
+    ...(mode === "candles"
+      ? { candlestick: { risingColor: { fill: themeColors.up, stroke: themeColors.up }, fallingColor: { fill: themeColors.down, stroke: themeColors.down } }, colors: [themeColors.textMuted] }
+      : { colors: [up ? themeColors.up : themeColors.down], lineWidth: 2 }),
+  };
+
+  const volumeOptions = {
+    ...common,
+    chartArea: { ...common.chartArea, top: 4, bottom: 4 },
+    hAxis: { ...common.hAxis, textPosition: "none" },
+    vAxis: { format: "short", textStyle: { fontSize: 10, color: themeColors.textMuted }, gridlines: { count: 2, color: themeColors.borderSubtle } },
+    colors: [themeColors.neutral],
+    bar: { groupWidth: "80%" },
+  };
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+        <div style={{ display: "flex", gap: 4 }}>
+          {CHART_RANGES.map((r) => (
+            <button
+              key={r.id}
+              style={r.id === rangeId ? styles.tabActive : styles.tab}
+              onClick={() => setRangeId(r.id)}
+              disabled={isHistoryUnsupported(r.days) && r.id !== rangeId}
+              title={isHistoryUnsupported(r.days) ? "Needs a paid API plan" : undefined}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 4 }}>
+          <button style={mode === "line" ? styles.tabActive : styles.tab} onClick={() => setMode("line")}>Line</button>
+          <button style={mode === "candles" ? styles.tabActive : styles.tab} onClick={() => setMode("candles")}>Candles</button>
+          <ExportMenu
+            getTable={() => historyExport(history, { coinId, currency, range })}
+            basename={`${coinId}-${range.id}`}
+            buttonStyle={styles.tab}
+            disabled={loading || !history?.prices?.length}
+          />
+        </div>
+      </div>
+
+      <div style={{ height: 300, marginTop: 8, position: "relative" }}>
+        {error && <div style={{ padding: 20, color: color.danger }}>Chart error: {error}</div>}
+        {!error && !priceData && loading && <div style={{ padding: 20 }}>Loading chart…</div>}
+        {!error && priceData && (
+          <Chart
+            chartType={mode === "candles" ? "CandlestickChart" : "LineChart"}
+            data={priceData}
+            options={priceOptions}
+            width="100%"
+            height="300px"
+          />
+        )}
+      </div>
+
+      {!error && volumeData && (
+        <div style={{ height: 80 }}>
+          <Chart chartType="ColumnChart" data={volumeData} options={volumeOptions} width="100%" height="80px" />
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  tab: { padding: "4px 10px", borderRadius: 6, border: `1px solid ${color.border}`, background: color.surface, cursor: "pointer", fontSize: 13 },
+  tabActive: { padding: "4px 10px", borderRadius: 6, border: `1px solid ${color.accent}`, background: color.accent, color: color.accentText, cursor: "pointer", fontSize: 13 },
+};
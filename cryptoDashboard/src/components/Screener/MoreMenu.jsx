@@ -0,0 +1,50 @@
+// src/components/Screener/MoreMenu.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { color } from "../../utils/themes";
+
+// "More ▾" dropdown: opens the screener and applies saved presets.
+export default function MoreMenu({ presets, onOpenScreener, onApplyPreset, onDeletePreset, buttonStyle }) {
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    function onDocClick(e) {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("mousedown", onDocClick);
+    return () => document.removeEventListener("mousedown", onDocClick);
+  }, [open]);
+
+  function pick(fn) {
+    fn();
+    setOpen(false);
+  }
+
+  return (
+    <div ref={rootRef} style={{ position: "relative" }}>
+      <button style={buttonStyle} onClick={() => setOpen((o) => !o)}>More ▾</button>
+      {open && (
+        <div style={styles.menu}>
+          <button style={styles.item} onClick={() => pick(onOpenScreener)}>Screener…</button>
+          <div style={styles.heading}>Saved screeners</div>
+          {presets.length === 0 && <div style={styles.note}>No presets saved yet</div>}
+          {presets.map((p) => (
+            <div key={p.id} style={{ display: "flex", alignItems: "center" }}>
+              <button style={{ ...styles.item, flex: 1 }} onClick={() => pick(() => onApplyPreset(p))}>{p.name}</button>
+              <button style={styles.remove} onClick={() => onDeletePreset(p.id)} title="Delete preset">✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  menu: { position: "absolute", top: "100%", right: 0, marginTop: 4, width: 240, background: color.surface, border: `1px solid ${color.border}`, borderRadius: 8, boxShadow: `0 8px 24px ${color.shadow}`, padding: 6, zIndex: 20 },
+  item: { display: "block", width: "100%", textAlign: "left", padding: "6px 8px", border: "none", background: "transparent", cursor: "pointer", borderRadius: 6 },
+  heading: { padding: "8px 8px 4px", fontSize: 12, color: color.textMuted, textTransform: "uppercase", borderTop: `1px solid ${color.borderSubtle}`, marginTop: 4 },
+  note: { padding: "6px 8px", color: color.textMuted, fontSize: 13 },
+  remove: { border: "none", background: "transparent", cursor: "pointer", color: color.textFaint },
+};
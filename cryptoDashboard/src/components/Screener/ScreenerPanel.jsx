@@ -0,0 +1,69 @@
+// src/components/Screener/ScreenerPanel.jsx
+import React from "react";
+import { SCREENER_FIELDS } from "../../utils/screener";
+import { color } from "../../utils/themes";
+
+// Editor for the active screener. `value` is controlled by the parent.
+export default function ScreenerPanel({ value, onChange, onSavePreset, onClose, matchCount, totalCount }) {
+  const { combinator, conditions } = value;
+
+  function setCondition(idx, patch) {
+    onChange({ ...value, conditions: conditions.map((c, i) => (i === idx ? { ...c, ...patch } : c)) });
+  }
+
+  function addCondition() {
+    const unused = SCREENER_FIELDS.find((f) => !conditions.some((c) => c.field === f.id)) || SCREENER_FIELDS[0];
+    onChange({ ...value, conditions: [...conditions, { field: unused.id, min: "", max: "" }] });
+  }
+
+  function removeCondition(idx) {
+    onChange({ ...value, conditions: conditions.filter((_, i) => i !== idx) });
+  }
+
+  function save() {
+    const name = window.prompt("Save screener as");
+    if (name) onSavePreset(name, value);
+  }
+
+  return (
+    <div style={styles.panel}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          <strong>Screener</strong>
+          <span style={{ fontSize: 13, color: color.textMuted }}>Match</span>
+          <select value={combinator} onChange={(e) => onChange({ ...value, combinator: e.target.value })} style={styles.input}>
+            <option value="and">all conditions (AND)</option>
+            <option value="or">any condition (OR)</option>
+          </select>
+          <span style={{ fontSize: 13, color: color.textMuted }}>{matchCount} of {totalCount} loaded coins match</span>
+        </div>
+        <button style={styles.close} onClick={onClose} title="Hide screener">✕</button>
+      </div>
+
+      {conditions.map((c, idx) => (
+        <div key={idx} style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+          <select value={c.field} onChange={(e) => setCondition(idx, { field: e.target.value })} style={{ ...styles.input, width: 200 }}>
+            {SCREENER_FIELDS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+          <input type="number" step="any" placeholder="min" value={c.min} onChange={(e) => setCondition(idx, { min: e.target.value })} style={styles.input} />
+          <span style={{ color: color.textMuted }}>to</span>
+          <input type="number" step="any" placeholder="max" value={c.max} onChange={(e) => setCondition(idx, { max: e.target.value })} style={styles.input} />
+          <button style={styles.close} onClick={() => removeCondition(idx)} title="Remove condition">✕</button>
+        </div>
+      ))}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+        <button style={styles.btn} onClick={addCondition}>+ Condition</button>
+        <button style={styles.btn} onClick={save} disabled={conditions.length === 0}>Save preset</button>
+        <button style={styles.btn} onClick={() => onChange({ ...value, conditions: [] })} disabled={conditions.length === 0}>Clear</button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: { marginTop: 12, padding: 12, border: `1px solid ${color.border}`, borderRadius: 10, background: color.surface },
+  input: { padding: "6px 8px", borderRadius: 8, border: `1px solid ${color.border}`, width: 120, background: color.surface },
+  btn: { padding: "6px 10px", borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, cursor: "pointer" },
+  close: { border: "none", background: "transparent", cursor: "pointer", color: color.textFaint },
+};
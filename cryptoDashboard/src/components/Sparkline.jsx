@@ -0,0 +1,30 @@
+// src/components/Sparkline.jsx
+import React, { memo, useMemo } from "react";
+import { color } from "../utils/themes";
+
+// Simple SVG sparkline component. `stroke` goes through `style` so theme
+// tokens (CSS variables) work.
+function Sparkline({ data = [], width = 110, height = 30, stroke = color.up }) {
+  const dAttr = useMemo(() => {
+    if (!data || data.length < 2) return null;
+    const min = Math.min(...data);
+    const max = Math.max(...data);
+    const range = max - min || 1;
+    const step = width / (data.length - 1);
+    const points = data.map((d, i) => {
+      const x = i * step;
+      const y = height - ((d - min) / range) * height;
+      return `${x},${y}`;
+    });
+    return `M${points.join(' L ')}`;
+  }, [data, width, height]);
+
+  if (!dAttr) return <div style={{ width, height }} />;
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+      <path d={dAttr} fill="none" style={{ stroke }} strokeWidth={2} strokeLinejoin="round" strokeLinecap="round" />
+    </svg>
+  );
+}
+
+export default memo(Sparkline);
@@ -0,0 +1,21 @@
+// src/components/StaleBadge.jsx
+import React from "react";
+import { color } from "../utils/themes";
+
+// Marks data restored from the offline snapshot until a live response
+// replaces it. Renders nothing while `since` is null.
+export default function StaleBadge({ since, style }) {
+  if (!since) return null;
+  const when = new Date(since);
+  const sameDay = when.toDateString() === new Date().toDateString();
+  const label = sameDay ? when.toLocaleTimeString() : when.toLocaleString();
+  return (
+    <span style={{ ...styles.badge, ...style }} role="status" title="Saved data shown while live data is unavailable">
+      Stale as of {label}
+    </span>
+  );
+}
+
+const styles = {
+  badge: { display: 'inline-block', padding: '2px 8px', borderRadius: 999, fontSize: 12, fontWeight: 600, background: color.surfaceAlt, color: color.warning, border: `1px solid ${color.warning}` },
+};
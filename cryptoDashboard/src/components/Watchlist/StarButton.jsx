@@ -0,0 +1,22 @@
+// src/components/Watchlist/StarButton.jsx
+import React from "react";
+import { FaRegStar, FaStar } from "react-icons/fa";
+import { color } from "../../utils/themes";
+
+// Star toggle that doesn't trigger the click handler of the row it sits in.
+export default function StarButton({ active, onToggle, size = 16, title }) {
+  return (
+    <button
+      type="button"
+      title={title || (active ? "Remove from watchlist" : "Add to watchlist")}
+      aria-pressed={active}
+      onClick={(e) => {
+        e.stopPropagation();
+        onToggle();
+      }}
+      style={{ border: "none", background: "transparent", cursor: "pointer", padding: 2, color: active ? color.warning : color.textFaint, fontSize: size, lineHeight: 0 }}
+    >
+      {active ? <FaStar /> : <FaRegStar />}
+    </button>
+  );
+}
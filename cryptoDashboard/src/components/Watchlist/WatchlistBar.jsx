@@ -0,0 +1,40 @@
+// src/components/Watchlist/WatchlistBar.jsx
+import React from "react";
+import { color } from "../../utils/themes";
+
+// List picker and management controls shown while the Watchlist filter is on.
+export default function WatchlistBar({ watchlists }) {
+  const { lists, active, setActiveId, createList, renameList, deleteList } = watchlists;
+
+  function handleCreate() {
+    const name = window.prompt("Name for the new watchlist");
+    if (name) createList(name);
+  }
+
+  function handleRename() {
+    const name = window.prompt("Rename watchlist", active.name);
+    if (name) renameList(active.id, name);
+  }
+
+  function handleDelete() {
+    if (window.confirm(`Delete watchlist "${active.name}"?`)) deleteList(active.id);
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 12, fontSize: 14 }}>
+      <select value={active.id} onChange={(e) => setActiveId(e.target.value)} style={styles.select}>
+        {lists.map((l) => (
+          <option key={l.id} value={l.id}>{l.name} ({l.coinIds.length})</option>
+        ))}
+      </select>
+      <button style={styles.btn} onClick={handleCreate}>New list</button>
+      <button style={styles.btn} onClick={handleRename}>Rename</button>
+      <button style={styles.btn} onClick={handleDelete}>Delete</button>
+    </div>
+  );
+}
+
+const styles = {
+  select: { padding: "6px 8px", borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface },
+  btn: { padding: "6px 10px", borderRadius: 8, border: `1px solid ${color.border}`, background: color.surface, cursor: "pointer" },
+};
@@ -0,0 +1,12 @@
+// src/context/CurrencyProvider.jsx
+import React, { useMemo } from "react";
+import { CurrencyContext } from "./currency";
+import { CURRENCIES, DEFAULT_CURRENCY } from "../utils/currencies";
+import usePersistentState from "../hooks/usePersistentState";
+
+export default function CurrencyProvider({ children }) {
+  const [stored, setCurrency] = usePersistentState("currency", DEFAULT_CURRENCY);
+  const currency = CURRENCIES[stored] ? stored : DEFAULT_CURRENCY;
+  const value = useMemo(() => ({ currency, setCurrency }), [currency, setCurrency]);
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>;
+}
@@ -0,0 +1,46 @@
+// src/context/ThemeProvider.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { ThemeContext } from "./theme";
+import { cssVariables, DEFAULT_PALETTE, PALETTES, resolveTheme, THEMES } from "../utils/themes";
+import usePersistentState from "../hooks/usePersistentState";
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+const CONTRAST_QUERY = "(prefers-contrast: more)";
+
+function systemTheme() {
+  if (typeof window === "undefined" || !window.matchMedia) return "light";
+  if (window.matchMedia(CONTRAST_QUERY).matches) return "high-contrast";
+  return window.matchMedia(DARK_QUERY).matches ? "dark" : "light";
+}
+
+// Tracks the OS theme preference while mode is "system".
+function useSystemTheme() {
+  const [value, setValue] = useState(systemTheme);
+  useEffect(() => {
+    if (!window.matchMedia) return;
+    const queries = [window.matchMedia(DARK_QUERY), window.matchMedia(CONTRAST_QUERY)];
+    const update = () => setValue(systemTheme());
+    queries.forEach((q) => q.addEventListener("change", update));
+    return () => queries.forEach((q) => q.removeEventListener("change", update));
+  }, []);
+  return value;
+}
+
+export default function ThemeProvider({ children }) {
+  const [storedMode, setMode] = usePersistentState("theme", "system");
+  const [storedPalette, setPalette] = usePersistentState("palette", DEFAULT_PALETTE);
+  const system = useSystemTheme();
+  const mode = storedMode === "system" || THEMES[storedMode] ? storedMode : "system";
+  const palette = PALETTES[storedPalette] ? storedPalette : DEFAULT_PALETTE;
+  const theme = useMemo(() => resolveTheme(mode === "system" ? system : mode, palette), [mode, system, palette]);
+
+  useEffect(() => {
+    const root = document.documentElement;
+    Object.entries(cssVariables(theme)).forEach(([name, value]) => root.style.setProperty(name, value));
+    root.style.colorScheme = theme.dark ? "dark" : "light";
+    root.dataset.theme = theme.id;
+  }, [theme]);
+
+  const value = useMemo(() => ({ mode, setMode, palette, setPalette, theme }), [mode, setMode, palette, setPalette, theme]);
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
@@ -0,0 +1,10 @@
+// src/context/currency.js
+import { createContext, useContext } from "react";
+import { DEFAULT_CURRENCY } from "../utils/currencies";
+
+export const CurrencyContext = createContext({ currency: DEFAULT_CURRENCY, setCurrency: () => {} });
+
+// Returns { currency, setCurrency } for the selected quote currency.
+export function useCurrency() {
+  return useContext(CurrencyContext);
+}
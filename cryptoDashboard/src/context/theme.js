@@ -0,0 +1,17 @@
+// src/context/theme.js
+import { createContext, useContext } from "react";
+import { DEFAULT_PALETTE, resolveTheme } from "../utils/themes";
+
+export const ThemeContext = createContext({
+  mode: "system",
+  setMode: () => {},
+  palette: DEFAULT_PALETTE,
+  setPalette: () => {},
+  theme: resolveTheme("light", DEFAULT_PALETTE),
+});
+
+// Returns { mode, setMode, palette, setPalette, theme } where `theme` holds the
+// resolved colors (for chart options that cannot use CSS variables).
+export function useTheme() {
+  return useContext(ThemeContext);
+}
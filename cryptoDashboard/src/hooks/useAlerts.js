@@ -0,0 +1,196 @@
+// src/hooks/useAlerts.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { fetchHistory, fetchMarketsByIds, isAbortError } from "../api";
+import { describeRule, evaluateRule } from "../utils/alerts";
+import usePersistentState from "./usePersistentState";
+
+const MAX_LOG = 200;
+
+function newId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function notificationPermission() {
+  return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+}
+
+function notify(title, body, tag) {
+  if (notificationPermission() !== "granted") return;
+  try {
+    new Notification(title, { body, tag, icon: "/vite.svg" });
+  } catch {
+    // some platforms only allow notifications from a service worker
+  }
+}
+
+// Latest market row per coin for every rule, keyed `${currency}:${coinId}`.
+// Rows in the displayed currency come from the loaded table where possible;
+// everything else is fetched by id (through the shared API cache). A failed
+// fetch only costs the coins in it: `failures` lists `{ keys, error }`.
+async function loadRows(rules, coins, currency, signal) {
+  const rows = new Map();
+  const failures = [];
+  const loaded = new Map(coins.map((c) => [c.id, c]));
+  const idsByCurrency = new Map();
+  for (const r of rules) {
+    if (r.currency === currency && loaded.has(r.coinId)) {
+      rows.set(`${currency}:${r.coinId}`, loaded.get(r.coinId));
+    } else {
+      if (!idsByCurrency.has(r.currency)) idsByCurrency.set(r.currency, new Set());
+      idsByCurrency.get(r.currency).add(r.coinId);
+    }
+  }
+  const groups = [...idsByCurrency];
+  const results = await Promise.allSettled(groups.map(([cur, ids]) => fetchMarketsByIds([...ids], { vs_currency: cur, signal })));
+  results.forEach((result, i) => {
+    const [cur, ids] = groups[i];
+    if (result.status === "fulfilled") {
+      for (const row of result.value) rows.set(`${cur}:${row.id}`, row);
+    } else {
+      failures.push({ keys: [...ids].map((id) => `${cur}:${id}`), error: result.reason });
+    }
+  });
+  return { rows, failures };
+}
+
+// Average daily volume over the last 30 days, for volume-spike rules, with
+// the same `failures` shape as loadRows.
+async function loadAverageVolumes(rules, signal) {
+  const out = new Map();
+  const failures = [];
+  const wanted = [...new Set(rules.filter((r) => r.type === "volume_spike").map((r) => `${r.currency}:${r.coinId}`))];
+  const results = await Promise.allSettled(wanted.map((key) => {
+    const [cur, coinId] = key.split(":");
+    return fetchHistory(coinId, { vs_currency: cur, days: 30, signal });
+  }));
+  results.forEach((result, i) => {
+    if (result.status === "rejected") {
+      failures.push({ keys: [wanted[i]], error: result.reason });
+      return;
+    }
+    const volumes = (result.value.total_volumes || []).map(([, v]) => v);
+    if (volumes.length) out.set(wanted[i], volumes.reduce((a, b) => a + b, 0) / volumes.length);
+  });
+  return { volumes: out, failures };
+}
+
+/**
+ * Alert rules and trigger log, persisted locally. Rules are evaluated each
+ * time `lastUpdated` changes (i.e. on every market-data refresh). Rules whose
+ * data failed to load are skipped for that round and reported in
+ * `evaluationError` as `{ ruleIds, message, at }`.
+ */
+export default function useAlerts({ coins, currency, lastUpdated }) {
+  const [rules, setRules] = usePersistentState("alerts.rules", []);
+  const [log, setLog] = usePersistentState("alerts.log", []);
+  const [permission, setPermission] = useState(notificationPermission);
+  const [evaluationError, setEvaluationError] = useState(null);
+
+  const latest = useRef({ rules, coins, currency });
+  useEffect(() => {
+    latest.current = { rules, coins, currency };
+  });
+
+  const requestPermission = useCallback(async () => {
+    if (notificationPermission() !== "default") return;
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  const addRule = useCallback((rule) => {
+    setRules((rs) => [...rs, {
+      ...rule,
+      id: newId("rule"),
+      enabled: true,
+      armed: true,
+      snoozedUntil: null,
+      lastTriggeredAt: null,
+      createdAt: Date.now(),
+    }]);
+    requestPermission();
+  }, [setRules, requestPermission]);
+
+  const updateRule = useCallback((id, patch) => {
+    setRules((rs) => rs.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+  }, [setRules]);
+
+  const removeRule = useCallback((id) => {
+    setRules((rs) => rs.filter((r) => r.id !== id));
+  }, [setRules]);
+
+  const snoozeRule = useCallback((id, ms) => {
+    updateRule(id, { snoozedUntil: ms ? Date.now() + ms : null });
+  }, [updateRule]);
+
+  const markAllRead = useCallback(() => {
+    setLog((entries) => entries.map((e) => (e.read ? e : { ...e, read: true })));
+  }, [setLog]);
+
+  const clearLog = useCallback(() => setLog([]), [setLog]);
+
+  useEffect(() => {
+    if (!lastUpdated) return;
+    const { rules: all, coins: rows, currency: cur } = latest.current;
+    const active = all.filter((r) => r.enabled);
+    if (active.length === 0) return;
+    const controller = new AbortController();
+
+    (async () => {
+      const [market, volume] = await Promise.all([
+        loadRows(active, rows, cur, controller.signal),
+        loadAverageVolumes(active, controller.signal),
+      ]);
+      const failures = [...market.failures, ...volume.failures].filter((f) => !isAbortError(f.error));
+      const failedKeys = new Set(failures.flatMap((f) => f.keys));
+      const now = Date.now();
+      const patches = {};
+      const fired = [];
+
+      for (const rule of active) {
+        const key = `${rule.currency}:${rule.coinId}`;
+        if (failedKeys.has(key)) continue;
+        const result = evaluateRule(rule, market.rows.get(key), { avgVolume: volume.volumes.get(key) });
+        if (!result) continue;
+        const snoozed = rule.snoozedUntil && rule.snoozedUntil > now;
+        if (result.hit && rule.armed && !snoozed) {
+          patches[rule.id] = { armed: false, lastTriggeredAt: now, enabled: rule.recurring };
+          fired.push({ id: newId("log"), ruleId: rule.id, coinId: rule.coinId, title: describeRule(rule), message: result.message, at: now, read: false });
+        } else if (!result.hit && !rule.armed) {
+          patches[rule.id] = { armed: true };
+        }
+      }
+
+      if (controller.signal.aborted) return;
+      setEvaluationError(failures.length ? {
+        ruleIds: active.filter((r) => failedKeys.has(`${r.currency}:${r.coinId}`)).map((r) => r.id),
+        message: failures[0].error?.message || String(failures[0].error),
+        at: now,
+      } : null);
+      if (Object.keys(patches).length) {
+        setRules((rs) => rs.map((r) => (patches[r.id] ? { ...r, ...patches[r.id] } : r)));
+      }
+      if (fired.length) {
+        setLog((entries) => [...fired, ...entries].slice(0, MAX_LOG));
+        fired.forEach((e) => notify(e.title, e.message, e.ruleId));
+      }
+    })().catch((err) => {
+      if (!isAbortError(err)) setEvaluationError({ ruleIds: active.map((r) => r.id), message: err.message, at: Date.now() });
+    });
+
+    return () => controller.abort();
+  }, [lastUpdated, rules.length, setRules, setLog]);
+
+  return {
+    rules,
+    log,
+    unread: log.filter((e) => !e.read).length,
+    permission,
+    evaluationError,
+    requestPermission,
+    addRule,
+    updateRule,
+    removeRule,
+    snoozeRule,
+    markAllRead,
+    clearLog,
+  };
+}
@@ -0,0 +1,22 @@
+// src/hooks/useCategories.js
+import { useEffect, useState } from "react";
+import { fetchCategories, isAbortError } from "../api";
+
+// CoinGecko categories with market data. The API cache makes repeated mounts
+// (picker + overview page) share one request.
+export default function useCategories() {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchCategories(controller.signal)
+      .then(setCategories)
+      .catch((err) => { if (!isAbortError(err)) setError(err.message); })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, []);
+
+  return { categories, loading, error };
+}
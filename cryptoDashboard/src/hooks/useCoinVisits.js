@@ -0,0 +1,13 @@
+// src/hooks/useCoinVisits.js
+import { useCallback } from "react";
+import usePersistentState from "./usePersistentState";
+
+// How many times each coin's detail was opened on this device, for the
+// "Most Visited" highlight. Returns { visits, recordVisit }.
+export default function useCoinVisits() {
+  const [visits, setVisits] = usePersistentState("visits", {});
+  const recordVisit = useCallback((id) => {
+    setVisits((v) => ({ ...v, [id]: (v[id] || 0) + 1 }));
+  }, [setVisits]);
+  return { visits, recordVisit };
+}
@@ -0,0 +1,54 @@
+// src/hooks/useCoinsById.js
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { fetchMarketsByIds, isAbortError } from "../api";
+import { mergeMarketRows } from "../api/live";
+
+// Market rows for `ids`, taken from the already loaded `coins` where possible
+// and fetched by id for the rest. Returns { rows, byId, loading, error, merge };
+// `merge(updates)` applies live-poll rows to the fetched ones and returns the
+// price changes, as mergeMarketRows does.
+export default function useCoinsById(ids, coins, currency) {
+  const [extra, setExtra] = useState({ currency, rows: [] });
+  const extraRef = useRef(extra);
+  useEffect(() => {
+    extraRef.current = extra;
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loaded = useMemo(() => new Map(coins.map((c) => [c.id, c])), [coins]);
+  const missingKey = ids.filter((id) => !loaded.has(id)).sort().join(",");
+
+  useEffect(() => {
+    if (!missingKey) return;
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    fetchMarketsByIds(missingKey.split(","), { vs_currency: currency, signal: controller.signal })
+      .then((rows) => setExtra({ currency, rows }))
+      .catch((err) => { if (!isAbortError(err)) setError(err.message); })
+      .finally(() => setLoading(false));
+    return () => controller.abort();
+  }, [missingKey, currency]);
+
+  const merge = useCallback((updates) => {
+    const current = extraRef.current;
+    const held = new Set(current.rows.map((r) => r.id));
+    const relevant = updates.filter((u) => held.has(u.id));
+    if (current.currency !== currency || relevant.length === 0) return {};
+    const { rows, changes } = mergeMarketRows(current.rows, relevant);
+    extraRef.current = { currency, rows };
+    setExtra(extraRef.current);
+    return changes;
+  }, [currency]);
+
+  return useMemo(() => {
+    const byId = new Map(loaded);
+    // rows fetched in a previous currency would mix units; skip them
+    if (extra.currency === currency) {
+      for (const row of extra.rows) if (!byId.has(row.id)) byId.set(row.id, row);
+    }
+    const rows = ids.map((id) => byId.get(id)).filter(Boolean);
+    return { rows, byId, loading: Boolean(missingKey) && loading, error, merge };
+  }, [ids, loaded, extra, currency, missingKey, loading, error, merge]);
+}
@@ -0,0 +1,56 @@
+// src/hooks/useColumnLayout.js
+import { useCallback, useMemo } from "react";
+import { COLUMNS, DEFAULT_LAYOUT, MIN_COLUMN_WIDTH } from "../components/MarketTable/columns";
+import usePersistentState from "./usePersistentState";
+
+// Visible market-table columns in display order with their widths, persisted
+// locally. Unknown ids from an older saved layout are dropped.
+export default function useColumnLayout() {
+  const [layout, setLayout] = usePersistentState("table.columns", DEFAULT_LAYOUT);
+
+  const columns = useMemo(() => layout
+    .map((entry) => {
+      const def = COLUMNS.find((c) => c.id === entry.id);
+      return def && { ...def, width: entry.width || def.width };
+    })
+    .filter(Boolean), [layout]);
+
+  const toggle = useCallback((id) => {
+    setLayout((l) => (l.some((e) => e.id === id)
+      ? l.filter((e) => e.id !== id)
+      : [...l, { id, width: COLUMNS.find((c) => c.id === id).width }]));
+  }, [setLayout]);
+
+  // Moves `id` to the position currently held by `targetId`.
+  const moveTo = useCallback((id, targetId) => {
+    setLayout((l) => {
+      const from = l.findIndex((e) => e.id === id);
+      const to = l.findIndex((e) => e.id === targetId);
+      if (from < 0 || to < 0 || from === to) return l;
+      const next = [...l];
+      const [entry] = next.splice(from, 1);
+      next.splice(to, 0, entry);
+      return next;
+    });
+  }, [setLayout]);
+
+  const move = useCallback((id, delta) => {
+    setLayout((l) => {
+      const from = l.findIndex((e) => e.id === id);
+      const to = from + delta;
+      if (from < 0 || to < 0 || to >= l.length) return l;
+      const next = [...l];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+  }, [setLayout]);
+
+  const resize = useCallback((id, width) => {
+    const w = Math.max(MIN_COLUMN_WIDTH, Math.round(width));
+    setLayout((l) => l.map((e) => (e.id === id ? { ...e, width: w } : e)));
+  }, [setLayout]);
+
+  const reset = useCallback(() => setLayout(DEFAULT_LAYOUT), [setLayout]);
+
+  return { columns, toggle, move, moveTo, resize, reset };
+}
@@ -0,0 +1,12 @@
+// src/hooks/useDebounced.js
+import { useEffect, useState } from "react";
+
+// `value`, updated only after it has stayed unchanged for `delay` ms.
+export default function useDebounced(value, delay = 300) {
+  const [v, setV] = useState(value);
+  useEffect(() => {
+    const t = setTimeout(() => setV(value), delay);
+    return () => clearTimeout(t);
+  }, [value, delay]);
+  return v;
+}
@@ -0,0 +1,40 @@
+// src/hooks/useGlobalMarket.js
+import { useEffect, useState } from "react";
+import { fetchGlobal, fetchGlobalHistory, isAbortError, isUnsupported } from "../api";
+
+/**
+ * Whole-market totals from `/global` plus a 7-day total market cap / volume
+ * series for the overview sparklines. `refreshToken` (e.g. the live table's
+ * last update time) re-requests both; the API cache keeps that cheap.
+ * `history` stays null when the provider cannot serve it; once the API plan
+ * has refused it, `historyUnsupported` is set and it is no longer requested.
+ */
+export default function useGlobalMarket(currency, refreshToken) {
+  const [global, setGlobal] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const [historyUnsupported, setHistoryUnsupported] = useState(() => isUnsupported('globalHistory'));
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchGlobal(controller.signal)
+      .then((data) => { setGlobal(data); setError(null); })
+      .catch((err) => { if (!isAbortError(err)) setError(err.message); });
+    return () => controller.abort();
+  }, [refreshToken]);
+
+  useEffect(() => {
+    if (historyUnsupported) return;
+    const controller = new AbortController();
+    fetchGlobalHistory({ vs_currency: currency, days: 7, signal: controller.signal })
+      .then((data) => setHistory({ currency, ...data }))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setHistory(null);
+        if (isUnsupported('globalHistory')) setHistoryUnsupported(true);
+      });
+    return () => controller.abort();
+  }, [currency, refreshToken, historyUnsupported]);
+
+  return { global, history: history?.currency === currency ? history : null, historyUnsupported, error };
+}
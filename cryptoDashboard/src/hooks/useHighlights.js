@@ -0,0 +1,62 @@
+// src/hooks/useHighlights.js
+import { useEffect, useMemo, useState } from "react";
+import { fetchRecentlyAdded, isAbortError } from "../api";
+import { HIGHLIGHT_TYPES } from "../utils/highlights";
+import useCoinsById from "./useCoinsById";
+
+// Trending entries carry a USD price only; used when the coin's market row
+// could not be fetched.
+function trendingFallback(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    symbol: item.symbol,
+    image: item.small,
+    market_cap_rank: item.market_cap_rank,
+    current_price: item.data?.price,
+    price_currency: "usd",
+    price_change_percentage_24h: item.data?.price_change_percentage_24h?.usd,
+  };
+}
+
+/**
+ * Every highlight list (see utils/highlights), fully ranked, built from the
+ * shared market rows. Trending, recently added and visited coins outside the
+ * loaded pages are fetched by id so they carry prices in `currency`.
+ * Returns { lists, unavailable } where `unavailable[typeId]` is set when the
+ * provider cannot serve that list.
+ */
+export default function useHighlights({ coins, trending, visits, currency }) {
+  const [recent, setRecent] = useState([]);
+  const [recentError, setRecentError] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchRecentlyAdded(controller.signal)
+      .then((rows) => { setRecent(rows.slice(0, 50)); setRecentError(false); })
+      .catch((err) => { if (!isAbortError(err)) setRecentError(true); });
+    return () => controller.abort();
+  }, []);
+
+  const trendingItems = useMemo(() => trending.map((t) => t.item || t), [trending]);
+  const ids = useMemo(() => [...new Set([
+    ...trendingItems.map((t) => t.id),
+    ...recent.map((r) => r.id),
+    ...Object.entries(visits).sort((a, b) => b[1] - a[1]).slice(0, 50).map(([id]) => id),
+  ])], [trendingItems, recent, visits]);
+  const { byId } = useCoinsById(ids, coins, currency);
+
+  const lists = useMemo(() => {
+    const ctx = {
+      coins,
+      trending: trendingItems.map((t) => byId.get(t.id) || trendingFallback(t)),
+      recentlyAdded: recent
+        .map((r) => byId.get(r.id) && { ...byId.get(r.id), activated_at: r.activated_at })
+        .filter(Boolean),
+      visits,
+    };
+    return Object.fromEntries(HIGHLIGHT_TYPES.map((t) => [t.id, t.rank(ctx)]));
+  }, [coins, trendingItems, recent, visits, byId]);
+
+  return { lists, unavailable: { "recently-added": recentError } };
+}
@@ -0,0 +1,21 @@
+// src/hooks/useLiveSource.js
+import { useEffect, useRef } from "react";
+
+// Subscribes to a LiveSource (see api/live.js) while `enabled`. Callbacks are
+// read through refs so a new handler identity doesn't restart the source.
+export default function useLiveSource(source, { enabled = true, onData, onError } = {}) {
+  const onDataRef = useRef(onData);
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onDataRef.current = onData;
+    onErrorRef.current = onError;
+  });
+
+  useEffect(() => {
+    if (!enabled || !source) return;
+    return source.subscribe(
+      (rows) => onDataRef.current?.(rows),
+      (err) => onErrorRef.current?.(err),
+    );
+  }, [source, enabled]);
+}
@@ -0,0 +1,28 @@
+// src/hooks/usePersistentState.js
+import { useEffect, useState } from "react";
+
+const PREFIX = "cryptoDashboard:";
+
+// useState backed by localStorage (JSON encoded). Falls back to `initial`
+// when storage is unavailable or holds something unparsable.
+export default function usePersistentState(key, initial) {
+  const storageKey = PREFIX + key;
+  const [value, setValue] = useState(() => {
+    try {
+      const raw = window.localStorage.getItem(storageKey);
+      return raw === null ? initial : JSON.parse(raw);
+    } catch {
+      return initial;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(value));
+    } catch {
+      // storage full or disabled — keep the in-memory value
+    }
+  }, [storageKey, value]);
+
+  return [value, setValue];
+}
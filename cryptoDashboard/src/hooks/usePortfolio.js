@@ -0,0 +1,22 @@
+// src/hooks/usePortfolio.js
+import { useCallback } from "react";
+import usePersistentState from "./usePersistentState";
+
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Locally persisted transaction ledger.
+export default function usePortfolio() {
+  const [transactions, setTransactions] = usePersistentState("portfolio.transactions", []);
+
+  const addTransaction = useCallback((tx) => {
+    setTransactions((list) => [...list, { ...tx, id: newId() }]);
+  }, [setTransactions]);
+
+  const removeTransaction = useCallback((id) => {
+    setTransactions((list) => list.filter((t) => t.id !== id));
+  }, [setTransactions]);
+
+  return { transactions, addTransaction, removeTransaction };
+}
@@ -0,0 +1,25 @@
+// src/hooks/useScreenerPresets.js
+import { useCallback } from "react";
+import usePersistentState from "./usePersistentState";
+
+// Named screener presets persisted locally. Saving under an existing name
+// replaces that preset.
+export default function useScreenerPresets() {
+  const [presets, setPresets] = usePersistentState("screener.presets", []);
+
+  const savePreset = useCallback((name, screener) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setPresets((ps) => {
+      const existing = ps.find((p) => p.name === trimmed);
+      if (existing) return ps.map((p) => (p === existing ? { ...p, screener } : p));
+      return [...ps, { id: `sp-${Date.now().toString(36)}`, name: trimmed, screener }];
+    });
+  }, [setPresets]);
+
+  const deletePreset = useCallback((id) => {
+    setPresets((ps) => ps.filter((p) => p.id !== id));
+  }, [setPresets]);
+
+  return { presets, savePreset, deletePreset };
+}
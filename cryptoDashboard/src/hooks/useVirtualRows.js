@@ -0,0 +1,37 @@
+// src/hooks/useVirtualRows.js
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Windowing for fixed-height rows inside a scroll container. Attach `ref` to
+ * the scrolling element, render rows `start`..`end` inside a spacer of
+ * `totalHeight`, shifted down by `offsetTop`.
+ */
+export default function useVirtualRows({ count, rowHeight, overscan = 8 }) {
+  const ref = useRef(null);
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 800 });
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    let frame = 0;
+    // coalesce scroll events to one state update per animation frame
+    const update = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => setViewport({ scrollTop: el.scrollTop, height: el.clientHeight }));
+    };
+    update();
+    el.addEventListener("scroll", update, { passive: true });
+    const observer = typeof ResizeObserver === "undefined" ? null : new ResizeObserver(update);
+    observer?.observe(el);
+    return () => {
+      cancelAnimationFrame(frame);
+      el.removeEventListener("scroll", update);
+      observer?.disconnect();
+    };
+  }, []);
+
+  const start = Math.max(0, Math.floor(viewport.scrollTop / rowHeight) - overscan);
+  const end = Math.min(count, Math.ceil((viewport.scrollTop + viewport.height) / rowHeight) + overscan);
+
+  return { ref, start, end, offsetTop: start * rowHeight, totalHeight: count * rowHeight };
+}
@@ -0,0 +1,54 @@
+// src/hooks/useWatchlists.js
+import { useCallback } from "react";
+import usePersistentState from "./usePersistentState";
+
+const DEFAULT_LISTS = [{ id: "default", name: "My Watchlist", coinIds: [] }];
+
+function newId() {
+  return `wl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Named watchlists persisted locally. There is always at least one list, and
+// `activeId` is the list the filter bar shows and row stars write to.
+export default function useWatchlists() {
+  const [stored, setLists] = usePersistentState("watchlists", DEFAULT_LISTS);
+  const [storedActive, setActiveId] = usePersistentState("watchlists.active", DEFAULT_LISTS[0].id);
+  const lists = stored.length ? stored : DEFAULT_LISTS;
+  const active = lists.find((l) => l.id === storedActive) || lists[0];
+
+  const createList = useCallback((name) => {
+    const id = newId();
+    setLists((ls) => [...ls, { id, name: name.trim() || "Untitled", coinIds: [] }]);
+    setActiveId(id);
+    return id;
+  }, [setLists, setActiveId]);
+
+  const renameList = useCallback((id, name) => {
+    setLists((ls) => ls.map((l) => (l.id === id ? { ...l, name: name.trim() || l.name } : l)));
+  }, [setLists]);
+
+  const deleteList = useCallback((id) => {
+    setLists((ls) => {
+      const rest = ls.filter((l) => l.id !== id);
+      return rest.length ? rest : DEFAULT_LISTS;
+    });
+  }, [setLists]);
+
+  const toggleCoin = useCallback((listId, coinId) => {
+    setLists((ls) => ls.map((l) => {
+      if (l.id !== listId) return l;
+      const has = l.coinIds.includes(coinId);
+      return { ...l, coinIds: has ? l.coinIds.filter((id) => id !== coinId) : [...l.coinIds, coinId] };
+    }));
+  }, [setLists]);
+
+  return {
+    lists,
+    active,
+    setActiveId,
+    createList,
+    renameList,
+    deleteList,
+    toggleCoin,
+  };
+}
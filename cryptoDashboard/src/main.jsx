@@ -1,10 +1,22 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router-dom'
 import './index.css'
 import App from './App.jsx'
+import CurrencyProvider from './context/CurrencyProvider.jsx'
+import ThemeProvider from './context/ThemeProvider.jsx'
+import { registerServiceWorker } from './utils/serviceWorker.js'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <BrowserRouter>
+      <ThemeProvider>
+        <CurrencyProvider>
+          <App />
+        </CurrencyProvider>
+      </ThemeProvider>
+    </BrowserRouter>
   </StrictMode>,
 )
+
+registerServiceWorker()
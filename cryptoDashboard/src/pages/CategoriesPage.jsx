@@ -0,0 +1,92 @@
+// src/pages/CategoriesPage.jsx
+import React, { useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import useCategories from "../hooks/useCategories";
+import { formatCurrency, formatPercent } from "../utils/format";
+import { color } from "../utils/themes";
+
+const COLUMNS = [
+  { key: "name", label: "Category", align: "left", flex: 2 },
+  { key: "market_cap", label: "Market Cap", width: 180 },
+  { key: "market_cap_change_24h", label: "24h", width: 100 },
+  { key: "volume_24h", label: "24h Volume", width: 180 },
+];
+
+// Category overview. CoinGecko reports category aggregates in USD only.
+export default function CategoriesPage() {
+  const { categories, loading, error } = useCategories();
+  const [sortBy, setSortBy] = useState({ key: "market_cap", dir: "desc" });
+  const navigate = useNavigate();
+
+  const sorted = useMemo(() => {
+    const { key, dir } = sortBy;
+    return [...categories].sort((a, b) => {
+      let av = a[key];
+      let bv = b[key];
+      if (av == null) return bv == null ? 0 : 1;
+      if (bv == null) return -1;
+      if (typeof av === "string") av = av.toLowerCase();
+      if (typeof bv === "string") bv = bv.toLowerCase();
+      if (av > bv) return dir === "asc" ? 1 : -1;
+      if (av < bv) return dir === "asc" ? -1 : 1;
+      return 0;
+    });
+  }, [categories, sortBy]);
+
+  function toggleSort(key) {
+    setSortBy((s) => (s.key === key ? { key, dir: s.dir === "asc" ? "desc" : "asc" } : { key, dir: key === "name" ? "asc" : "desc" }));
+  }
+
+  return (
+    <section style={{ marginTop: 16 }}>
+      <h2 style={{ margin: "0 0 12px" }}>Categories</h2>
+      <div role="table" aria-label="Categories">
+        <div role="row" style={styles.head}>
+          <div role="columnheader" style={{ width: 40, textAlign: "center" }}>#</div>
+          {COLUMNS.map((col) => {
+            const active = sortBy.key === col.key;
+            return (
+              <div
+                key={col.key}
+                role="columnheader"
+                aria-sort={active ? (sortBy.dir === "asc" ? "ascending" : "descending") : "none"}
+                style={{ flex: col.flex, width: col.width, textAlign: col.align || "right" }}
+              >
+                <button type="button" style={{ ...styles.sortButton, color: active ? color.accent : "inherit" }} onClick={() => toggleSort(col.key)}>
+                  {col.label}
+                  {active && <span aria-hidden="true">{sortBy.dir === "asc" ? " ▲" : " ▼"}</span>}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+        {loading && <div style={{ padding: 20 }}>Loading categories…</div>}
+        {error && <div style={{ padding: 20, color: color.danger }}>API error: {error}</div>}
+        {sorted.map((c, idx) => {
+          const to = `/?category=${encodeURIComponent(c.id)}`;
+          // the whole row is clickable; the name link is the keyboard target
+          return (
+            <div key={c.id} role="row" style={styles.row} onClick={() => navigate(to)}>
+              <div role="cell" style={{ width: 40, textAlign: "center", color: color.textMuted }}>{idx + 1}</div>
+              <div role="cell" style={{ flex: 2, fontWeight: 600 }}>
+                <Link to={to} style={styles.link} onClick={(e) => e.stopPropagation()}>{c.name}</Link>
+              </div>
+              <div role="cell" style={{ width: 180, textAlign: "right" }}>{formatCurrency(c.market_cap, "usd")}</div>
+              <div role="cell" style={{ width: 100, textAlign: "right", color: c.market_cap_change_24h >= 0 ? color.up : color.down }}>
+                {formatPercent(c.market_cap_change_24h)}
+              </div>
+              <div role="cell" style={{ width: 180, textAlign: "right" }}>{formatCurrency(c.volume_24h, "usd")}</div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  head: { display: "flex", gap: 12, padding: "12px 8px", color: color.textMuted, borderBottom: `1px solid ${color.borderSubtle}`, fontSize: 14 },
+  row: { display: "flex", gap: 12, padding: "12px 8px", borderBottom: `1px solid ${color.borderSubtle}`, alignItems: "center", cursor: "pointer" },
+  link: { color: "inherit", textDecoration: "none" },
+  sortButton: { background: "none", border: "none", padding: 0, font: "inherit", cursor: "pointer" },
+};
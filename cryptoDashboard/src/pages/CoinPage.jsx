@@ -0,0 +1,28 @@
+// src/pages/CoinPage.jsx
+import React, { useEffect, useRef } from "react";
+import { Link, useParams } from "react-router-dom";
+import CoinDetail from "../components/CoinDetail";
+import { color } from "../utils/themes";
+
+export default function CoinPage({ currency, watchlists, onVisit }) {
+  const { id } = useParams();
+  // count each arrival once, not on every effect re-run
+  const visitedRef = useRef(null);
+  useEffect(() => {
+    if (visitedRef.current === id) return;
+    visitedRef.current = id;
+    onVisit(id);
+  }, [id, onVisit]);
+  return (
+    <section style={{ marginTop: 16 }}>
+      <Link to="/" style={{ color: color.textMuted, fontSize: 14 }}>← Back to markets</Link>
+      <div style={styles.card}>
+        <CoinDetail coinId={id} currency={currency} watchlists={watchlists} full />
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  card: { marginTop: 12, background: color.surface, borderRadius: 10, padding: 18, boxShadow: `0 1px 3px ${color.shadow}`, border: `1px solid ${color.borderSubtle}` },
+};
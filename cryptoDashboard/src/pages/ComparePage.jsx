@@ -0,0 +1,241 @@
+// src/pages/ComparePage.jsx
+// Side-by-side comparison of 2–6 coins from `?ids=a,b,c`: key market data,
+// performance rebased to 100 and a correlation matrix of daily returns.
+import React, { useEffect, useMemo, useState } from "react";
+import { Chart } from "react-google-charts";
+import { Link, useSearchParams } from "react-router-dom";
+import { fetchCoinDetail, fetchHistory, isAbortError, isHistoryUnsupported } from "../api";
+import { formatCurrency, formatNumber, formatPercent, formatPrice } from "../utils/format";
+import {
+  COMPARE_MIN,
+  COMPARE_RANGES,
+  correlationMatrix,
+  getCompareRange,
+  normalizedRows,
+  parseCompareIds,
+} from "../utils/compare";
+import { useTheme } from "../context/theme";
+import { color } from "../utils/themes";
+
+const pct = (v) => (typeof v === 'number' ? formatPercent(v) : '-');
+
+// Rows of the side-by-side grid, read from `/coins/{id}` market_data.
+const FIELDS = [
+  { label: 'Rank', get: (d) => d.market_cap_rank ?? '-' },
+  { label: 'Price', get: (d, cur) => formatPrice(d.market_data?.current_price?.[cur], cur) },
+  { label: 'Market Cap', get: (d, cur) => formatCurrency(d.market_data?.market_cap?.[cur], cur) },
+  { label: 'Fully Diluted Valuation', get: (d, cur) => formatCurrency(d.market_data?.fully_diluted_valuation?.[cur], cur) },
+  { label: '24h Volume', get: (d, cur) => formatCurrency(d.market_data?.total_volume?.[cur], cur) },
+  { label: '24h Change', get: (d) => pct(d.market_data?.price_change_percentage_24h), change: (d) => d.market_data?.price_change_percentage_24h },
+  { label: '7d Change', get: (d) => pct(d.market_data?.price_change_percentage_7d), change: (d) => d.market_data?.price_change_percentage_7d },
+  { label: '30d Change', get: (d) => pct(d.market_data?.price_change_percentage_30d), change: (d) => d.market_data?.price_change_percentage_30d },
+  { label: '1y Change', get: (d) => pct(d.market_data?.price_change_percentage_1y), change: (d) => d.market_data?.price_change_percentage_1y },
+  { label: 'Circulating Supply', get: (d, cur) => (d.market_data?.circulating_supply ? formatNumber(Math.round(d.market_data.circulating_supply), cur) : '-') },
+  { label: 'Max Supply', get: (d, cur) => (d.market_data?.max_supply ? formatNumber(Math.round(d.market_data.max_supply), cur) : '∞') },
+  { label: 'All-Time High', get: (d, cur) => formatPrice(d.market_data?.ath?.[cur], cur) },
+  { label: 'From ATH', get: (d, cur) => pct(d.market_data?.ath_change_percentage?.[cur]), change: (d, cur) => d.market_data?.ath_change_percentage?.[cur] },
+];
+
+// Up color for positive correlation, down color for negative, more opaque
+// with magnitude.
+function correlationStyle(r) {
+  if (r == null) return null;
+  const pct = Math.round(Math.min(1, Math.abs(r)) * 45);
+  return { background: `color-mix(in srgb, ${r >= 0 ? color.up : color.down} ${pct}%, transparent)` };
+}
+
+export default function ComparePage({ currency }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  // chart options need resolved colors, not CSS variables
+  const themeColors = useTheme().theme.colors;
+  const ids = useMemo(() => parseCompareIds(searchParams.get('ids')), [searchParams]);
+  const range = getCompareRange(searchParams.get('range'));
+  const [details, setDetails] = useState({});
+  const [histories, setHistories] = useState(null);
+  const [error, setError] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  const idsKey = ids.join(',');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setError(null);
+    Promise.all(idsKey.split(',').filter(Boolean).map((id) => fetchCoinDetail(id, controller.signal)))
+      .then((list) => setDetails(Object.fromEntries(list.map((d) => [d.id, d]))))
+      .catch((err) => { if (!isAbortError(err)) setError(err.message); });
+    return () => controller.abort();
+  }, [idsKey]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setHistories(null);
+    setHistoryError(null);
+    Promise.all(idsKey.split(',').filter(Boolean).map((id) =>
+      fetchHistory(id, { vs_currency: currency, days: range.days, signal: controller.signal })))
+      .then((list) => setHistories(list.map((h) => h.prices || [])))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setHistoryError(isHistoryUnsupported(range.days) ? 'Full history needs a paid API plan.' : err.message);
+      });
+    return () => controller.abort();
+  }, [idsKey, currency, range.days]);
+
+  const chartData = useMemo(() => {
+    if (!histories) return null;
+    const rows = normalizedRows(histories, range.bucket);
+    return rows.length ? [['Time', ...ids.map((id) => details[id]?.symbol?.toUpperCase() || id)], ...rows] : null;
+  }, [histories, range.bucket, ids, details]);
+
+  const correlations = useMemo(
+    () => (histories && histories.length >= COMPARE_MIN ? correlationMatrix(histories) : null),
+    [histories],
+  );
+
+  function setRange(id) {
+    const next = new URLSearchParams(searchParams);
+    next.set('range', id);
+    setSearchParams(next, { replace: true });
+  }
+
+  function removeCoin(id) {
+    const next = new URLSearchParams(searchParams);
+    next.set('ids', ids.filter((x) => x !== id).join(','));
+    setSearchParams(next, { replace: true });
+  }
+
+  const label = (id) => details[id]?.symbol?.toUpperCase() || id;
+
+  return (
+    <section style={{ marginTop: 16 }}>
+      <Link to="/" style={{ color: color.textMuted, fontSize: 14 }}>← Back to markets</Link>
+      <h2 style={{ margin: '12px 0' }}>Compare</h2>
+
+      {ids.length < COMPARE_MIN && (
+        <div style={{ color: color.textMuted }}>Select at least {COMPARE_MIN} coins in the market table to compare them.</div>
+      )}
+      {error && <div style={{ color: color.danger }}>Could not load comparison: {error}</div>}
+
+      {ids.length >= COMPARE_MIN && (
+        <>
+          <div style={styles.card}>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={styles.table}>
+                <thead>
+                  <tr>
+                    <th style={styles.th} />
+                    {ids.map((id, i) => (
+                      <th key={id} style={{ ...styles.th, textAlign: 'right' }}>
+                        <div style={{ display: 'flex', gap: 6, alignItems: 'center', justifyContent: 'flex-end' }}>
+                          <span style={{ width: 10, height: 10, borderRadius: 5, background: themeColors.series[i] }} />
+                          <Link to={`/coins/${id}`}>{details[id]?.name || id}</Link>
+                          <button style={styles.remove} onClick={() => removeCoin(id)} title="Remove from comparison">✕</button>
+                        </div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {FIELDS.map((f) => (
+                    <tr key={f.label}>
+                      <td style={styles.td}>{f.label}</td>
+                      {ids.map((id) => {
+                        const d = details[id];
+                        const change = d && f.change?.(d, currency);
+                        return (
+                          <td key={id} style={{ ...styles.td, textAlign: 'right', color: typeof change === 'number' ? (change >= 0 ? color.up : color.down) : undefined }}>
+                            {d ? f.get(d, currency) : '…'}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div style={styles.card}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <strong>Performance (rebased to 100)</strong>
+              <div style={{ display: 'flex', gap: 4 }}>
+                {COMPARE_RANGES.map((r) => (
+                  <button
+                    key={r.id}
+                    style={r.id === range.id ? styles.tabActive : styles.tab}
+                    onClick={() => setRange(r.id)}
+                    disabled={isHistoryUnsupported(r.days) && r.id !== range.id}
+                    title={isHistoryUnsupported(r.days) ? 'Needs a paid API plan' : undefined}
+                  >
+                    {r.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div style={{ height: 320, marginTop: 8 }}>
+              {historyError && <div style={{ padding: 20, color: color.danger }}>Chart error: {historyError}</div>}
+              {!chartData && !error && !historyError && <div style={{ padding: 20 }}>Loading chart…</div>}
+              {chartData && (
+                <Chart
+                  chartType="LineChart"
+                  data={chartData}
+                  width="100%"
+                  height="320px"
+                  options={{
+                    backgroundColor: 'transparent',
+                    colors: themeColors.series,
+                    legend: { position: 'top', textStyle: { color: themeColors.text } },
+                    chartArea: { left: 50, right: 12, top: 30, bottom: 24 },
+                    hAxis: { gridlines: { color: 'transparent' }, textStyle: { fontSize: 11, color: themeColors.textMuted } },
+                    vAxis: { format: '#,##0', textStyle: { fontSize: 11, color: themeColors.textMuted }, gridlines: { color: themeColors.borderSubtle } },
+                    interpolateNulls: true,
+                    focusTarget: 'category',
+                    crosshair: { trigger: 'both', orientation: 'vertical', color: themeColors.textFaint, opacity: 0.6 },
+                  }}
+                />
+              )}
+            </div>
+          </div>
+
+          {correlations && (
+            <div style={styles.card}>
+              <strong>Correlation of daily returns</strong>
+              <span style={{ color: color.textMuted, fontSize: 13, marginLeft: 8 }}>{range.label}, {correlations.days} days</span>
+              <table style={{ ...styles.table, width: 'auto', marginTop: 8 }}>
+                <thead>
+                  <tr>
+                    <th style={styles.th} />
+                    {ids.map((id) => <th key={id} style={{ ...styles.th, textAlign: 'center' }}>{label(id)}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {ids.map((rowId, r) => (
+                    <tr key={rowId}>
+                      <th style={styles.th}>{label(rowId)}</th>
+                      {ids.map((colId, c) => {
+                        const v = correlations.matrix[r]?.[c];
+                        return (
+                          <td key={colId} style={{ ...styles.td, textAlign: 'center', minWidth: 64, ...correlationStyle(v) }}>
+                            {v == null ? '-' : v.toFixed(2)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+const styles = {
+  card: { marginTop: 12, background: color.surface, borderRadius: 10, padding: 18, boxShadow: `0 1px 3px ${color.shadow}`, border: `1px solid ${color.borderSubtle}` },
+  table: { width: '100%', borderCollapse: 'collapse', fontSize: 14 },
+  th: { padding: '8px 10px', textAlign: 'left', color: color.textMuted, fontWeight: 600, borderBottom: `1px solid ${color.borderSubtle}`, whiteSpace: 'nowrap' },
+  td: { padding: '8px 10px', borderBottom: `1px solid ${color.borderSubtle}`, whiteSpace: 'nowrap' },
+  remove: { border: 'none', background: 'transparent', cursor: 'pointer', color: color.textFaint },
+  tab: { padding: '4px 10px', borderRadius: 6, border: `1px solid ${color.border}`, background: color.surface, cursor: 'pointer', fontSize: 13 },
+  tabActive: { padding: '4px 10px', borderRadius: 6, border: `1px solid ${color.accent}`, background: color.accent, color: color.accentText, cursor: 'pointer', fontSize: 13 },
+};
@@ -0,0 +1,78 @@
+// src/pages/ConverterPage.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import Converter from "../components/Converter/Converter";
+import TargetCalculator from "../components/Converter/TargetCalculator";
+import WhatIfCalculator from "../components/Converter/WhatIfCalculator";
+import { fetchExchangeRates, isAbortError } from "../api";
+import useCoinsById from "../hooks/useCoinsById";
+import { color } from "../utils/themes";
+
+/**
+ * Converter plus what-if and target-price calculators, priced from the same
+ * market rows as the table. `?coin=<id>` preselects a coin (the detail
+ * modal links here); a coin outside the loaded pages is fetched by id.
+ * `loading` and `error` are the market table's, so a failed market load
+ * shows here instead of an endless loading message.
+ */
+export default function ConverterPage({ coins, currency, loading, error }) {
+  const [searchParams] = useSearchParams();
+  const coinParam = searchParams.get('coin') || '';
+  const [rates, setRates] = useState(null);
+  const [ratesError, setRatesError] = useState(null);
+
+  const extraIds = useMemo(() => (coinParam ? [coinParam] : []), [coinParam]);
+  const extra = useCoinsById(extraIds, coins, currency);
+
+  const options = useMemo(() => {
+    const all = new Map(coins.map((c) => [c.id, c]));
+    for (const row of extra.rows) if (!all.has(row.id)) all.set(row.id, row);
+    return [...all.values()];
+  }, [coins, extra.rows]);
+  const coinsById = useMemo(() => new Map(options.map((c) => [c.id, c])), [options]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchExchangeRates(controller.signal)
+      .then(setRates)
+      .catch((err) => { if (!isAbortError(err)) setRatesError(err.message); });
+    return () => controller.abort();
+  }, []);
+
+  const initialCoin = coinsById.has(coinParam) ? coinParam : options[0]?.id;
+  const ready = options.length > 0 && (!coinParam || coinsById.has(coinParam) || extra.error);
+
+  if (!ready) {
+    if (loading || (coinParam && extra.loading)) return <div style={{ padding: 20, color: color.textMuted }}>Loading market data…</div>;
+    return (
+      <div style={{ padding: 20, color: color.danger }}>
+        {error ? `Could not load market data: ${error}` : 'No market data available.'}
+      </div>
+    );
+  }
+
+  const shared = { coins: options, coinsById, currency, initialCoin };
+  // remount when the preselected coin changes so every panel picks it up
+  return (
+    <section style={styles.grid} key={coinParam}>
+      <div style={styles.card}>
+        <h2 style={styles.heading}>Converter</h2>
+        <Converter {...shared} rates={rates} ratesError={ratesError} />
+      </div>
+      <div style={styles.card}>
+        <h2 style={styles.heading}>What if I had bought…</h2>
+        <WhatIfCalculator {...shared} />
+      </div>
+      <div style={styles.card}>
+        <h2 style={styles.heading}>Target price</h2>
+        <TargetCalculator {...shared} />
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  grid: { marginTop: 16, display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(360px, 1fr))', gap: 16, alignItems: 'start' },
+  card: { background: color.surface, borderRadius: 10, padding: 18, boxShadow: `0 1px 3px ${color.shadow}`, border: `1px solid ${color.borderSubtle}` },
+  heading: { margin: '0 0 12px', fontSize: 18 },
+};
@@ -0,0 +1,50 @@
+// src/pages/HighlightsPage.jsx
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import { HighlightMetric } from "../components/Highlights";
+import { getHighlightType } from "../utils/highlights";
+import { color } from "../utils/themes";
+
+// Full ranked list behind a highlight card's "View more".
+export default function HighlightsPage({ highlights, currency }) {
+  const { type: typeId } = useParams();
+  const type = getHighlightType(typeId);
+
+  if (!type) {
+    return (
+      <section style={{ marginTop: 16 }}>
+        <Link to="/" style={{ color: color.textMuted, fontSize: 14 }}>← Back to markets</Link>
+        <h2 style={{ margin: '12px 0' }}>Unknown highlight</h2>
+      </section>
+    );
+  }
+
+  const rows = highlights.lists[type.id] || [];
+  return (
+    <section style={{ marginTop: 16 }}>
+      <Link to="/" style={{ color: color.textMuted, fontSize: 14 }}>← Back to markets</Link>
+      <h2 style={{ margin: '12px 0 4px' }}>{type.title}</h2>
+      <div style={{ color: color.textMuted, fontSize: 14, marginBottom: 12 }}>{type.description}</div>
+      {highlights.unavailable[type.id] && <div style={{ color: color.textMuted }}>Not available from the current data provider.</div>}
+      {!highlights.unavailable[type.id] && rows.length === 0 && <div style={{ color: color.textMuted }}>Nothing to show yet.</div>}
+      {rows.map((c, idx) => (
+        <Link key={c.id} to={`/coins/${c.id}`} style={styles.row}>
+          <div style={{ width: 40, textAlign: 'center', color: color.textMuted }}>{idx + 1}</div>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center', flex: 1 }}>
+            <img src={c.image} alt={`${c.name} logo`} style={{ width: 20, height: 20, borderRadius: 10 }} />
+            <span style={{ fontWeight: 600 }}>{c.name}</span>
+            <span style={{ color: color.textMuted, fontSize: 13 }}>{c.symbol?.toUpperCase()}</span>
+          </div>
+          <div style={{ width: 100, textAlign: 'right', color: color.textMuted }}>{c.market_cap_rank ? `#${c.market_cap_rank}` : '-'}</div>
+          <div style={{ width: 180, textAlign: 'right' }}>
+            <HighlightMetric coin={c} metric={type.metric} currency={currency} />
+          </div>
+        </Link>
+      ))}
+    </section>
+  );
+}
+
+const styles = {
+  row: { display: 'flex', gap: 12, padding: '10px 8px', borderBottom: `1px solid ${color.borderSubtle}`, alignItems: 'center' },
+};
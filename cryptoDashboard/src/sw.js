@@ -0,0 +1,103 @@
+// src/sw.js
+// Service worker for the installable build. The serviceWorker plugin in
+// vite.config.js emits it as /sw.js with VERSION set to a hash of the build,
+// so each deploy ships a new worker that the browser installs. The app shell
+// and hashed build assets are precached on install (the asset list comes
+// from precache-manifest.json, written by the same plugin) so the dashboard
+// opens on a flaky or missing connection from the first visit on; market
+// data is left to the page, which keeps its own last-known snapshot in
+// IndexedDB (src/api/snapshot.js).
+
+const VERSION = "__BUILD_VERSION__";
+const SHELL_CACHE = `shell-${VERSION}`;
+// bundles and images outlive a deploy; pruneAssets drops stale bundles
+const ASSET_CACHE = "assets";
+const IMAGE_CACHE = "images";
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png"];
+const PRECACHE_MANIFEST = "/precache-manifest.json";
+const IMAGE_HOSTS = ["assets.coingecko.com", "coin-images.coingecko.com"];
+const MAX_IMAGES = 100;
+
+// Hashed bundles of the build this worker ships with; empty under the dev
+// server, which never registers the worker anyway.
+async function buildAssets() {
+  const response = await fetch(PRECACHE_MANIFEST, { cache: "no-store" });
+  return response.ok ? response.json() : [];
+}
+
+async function precache() {
+  const assets = await buildAssets();
+  await (await caches.open(SHELL_CACHE)).addAll(SHELL);
+  await (await caches.open(ASSET_CACHE)).addAll(assets);
+}
+
+// Drop bundles of earlier builds so the asset cache doesn't grow per deploy.
+async function pruneAssets() {
+  const current = new Set(await buildAssets().catch(() => []));
+  if (current.size === 0) return;
+  const cache = await caches.open(ASSET_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.filter((req) => !current.has(new URL(req.url).pathname)).map((req) => cache.delete(req)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = new Set([SHELL_CACHE, ASSET_CACHE, IMAGE_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !keep.has(key)).map((key) => caches.delete(key))))
+      .then(pruneAssets)
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Network first so a deploy is picked up right away; the cached shell is the
+// fallback for every client-side route.
+async function navigate(request) {
+  try {
+    const response = await fetch(request);
+    // an error page must never replace the cached shell
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put("/index.html", response.clone());
+    }
+    return response;
+  } catch {
+    return (await caches.match("/index.html")) || Response.error();
+  }
+}
+
+async function cacheFirst(request, cacheName, limit) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  // opaque cross-origin responses are skipped: each one is charged a padded
+  // size against the storage quota and its status can't be checked
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    if (limit) {
+      const keys = await cache.keys();
+      await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map((key) => cache.delete(key)));
+    }
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate" && url.origin === self.location.origin) {
+    event.respondWith(navigate(request));
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith("/assets/") || SHELL.includes(url.pathname))) {
+    // build assets are content-hashed, so a cached copy never goes stale
+    event.respondWith(cacheFirst(request, ASSET_CACHE));
+  } else if (IMAGE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGES));
+  }
+});
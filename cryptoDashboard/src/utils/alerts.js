@@ -0,0 +1,82 @@
+// src/utils/alerts.js
+// Alert rule definitions and evaluation. Rules are edge-triggered: a rule
+// fires when its condition becomes true and, if recurring, re-arms once the
+// condition has been false again.
+import { formatCurrency, formatPercent, formatPrice } from "./format";
+
+export const ALERT_TYPES = [
+  { id: "price_above", label: "Price above", unit: "price" },
+  { id: "price_below", label: "Price below", unit: "price" },
+  { id: "change_beyond", label: "24h change beyond ±", unit: "%" },
+  { id: "volume_spike", label: "Volume spike ×", unit: "× avg" },
+];
+
+export const SNOOZE_OPTIONS = [
+  { value: 60 * 60 * 1000, label: "1 hour" },
+  { value: 4 * 60 * 60 * 1000, label: "4 hours" },
+  { value: 24 * 60 * 60 * 1000, label: "1 day" },
+];
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} id
+ * @property {string} coinId
+ * @property {string} coinName
+ * @property {"price_above"|"price_below"|"change_beyond"|"volume_spike"} type
+ * @property {number} threshold  Price, percent, or volume multiple depending on `type`.
+ * @property {string} currency   Quote currency for price and volume values.
+ * @property {boolean} recurring One-shot rules disable themselves after firing.
+ * @property {boolean} enabled
+ * @property {boolean} armed     False while the condition is still true after a trigger.
+ * @property {number|null} snoozedUntil
+ * @property {number|null} lastTriggeredAt
+ */
+
+export function describeRule(rule) {
+  const type = ALERT_TYPES.find((t) => t.id === rule.type);
+  switch (rule.type) {
+    case "price_above":
+    case "price_below":
+      return `${rule.coinName} ${type.label.toLowerCase()} ${formatPrice(rule.threshold, rule.currency)}`;
+    case "change_beyond":
+      return `${rule.coinName} 24h change beyond ±${rule.threshold}%`;
+    case "volume_spike":
+      return `${rule.coinName} 24h volume above ${rule.threshold}× its 30-day average`;
+    default:
+      return rule.coinName;
+  }
+}
+
+/**
+ * Checks one rule against the latest market row for its coin.
+ * `avgVolume` is the coin's average daily volume, needed for volume rules.
+ * Returns `{ hit, message }`, or null when there isn't enough data.
+ */
+export function evaluateRule(rule, row, { avgVolume } = {}) {
+  if (!row) return null;
+  switch (rule.type) {
+    case "price_above":
+    case "price_below": {
+      const price = row.current_price;
+      if (typeof price !== "number") return null;
+      const hit = rule.type === "price_above" ? price >= rule.threshold : price <= rule.threshold;
+      return { hit, message: `${rule.coinName} is at ${formatPrice(price, rule.currency)}` };
+    }
+    case "change_beyond": {
+      const change = row.price_change_percentage_24h;
+      if (typeof change !== "number") return null;
+      return { hit: Math.abs(change) >= rule.threshold, message: `${rule.coinName} moved ${formatPercent(change)} in 24h` };
+    }
+    case "volume_spike": {
+      const volume = row.total_volume;
+      if (typeof volume !== "number" || !avgVolume) return null;
+      const ratio = volume / avgVolume;
+      return {
+        hit: ratio >= rule.threshold,
+        message: `${rule.coinName} volume ${formatCurrency(volume, rule.currency)} is ${ratio.toFixed(1)}× its average`,
+      };
+    }
+    default:
+      return null;
+  }
+}
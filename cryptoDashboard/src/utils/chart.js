@@ -0,0 +1,48 @@
+// src/utils/chart.js
+// Transforms for `/market_chart` history (`[timestamp, value]` pairs) into
+// the row arrays Google Charts expects.
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const CHART_RANGES = [
+  { id: "24h", label: "24h", days: 1, bucket: HOUR },
+  { id: "7d", label: "7d", days: 7, bucket: 4 * HOUR },
+  { id: "30d", label: "30d", days: 30, bucket: DAY },
+  { id: "90d", label: "90d", days: 90, bucket: DAY },
+  { id: "1y", label: "1y", days: 365, bucket: 7 * DAY },
+  { id: "max", label: "Max", days: "max", bucket: 30 * DAY },
+];
+
+export function getRange(id) {
+  return CHART_RANGES.find((r) => r.id === id) || CHART_RANGES[1];
+}
+
+/**
+ * Groups price points into fixed-width candles. Each candle is
+ * `{ time, open, high, low, close }` where `time` is the bucket start.
+ */
+export function toOhlc(prices, bucketMs) {
+  const candles = [];
+  let current = null;
+  for (const [ts, price] of prices) {
+    const start = Math.floor(ts / bucketMs) * bucketMs;
+    if (!current || current.time !== start) {
+      current = { time: start, open: price, high: price, low: price, close: price };
+      candles.push(current);
+    } else {
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+    }
+  }
+  return candles;
+}
+
+// Last reported 24h volume per bucket (market_chart volumes are rolling 24h
+// totals, so summing them would double count).
+export function bucketVolumes(volumes, bucketMs) {
+  const out = new Map();
+  for (const [ts, v] of volumes) out.set(Math.floor(ts / bucketMs) * bucketMs, v);
+  return out;
+}
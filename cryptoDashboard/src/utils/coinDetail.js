@@ -0,0 +1,106 @@
+// src/utils/coinDetail.js
+// Helpers that turn a `/coins/{id}` payload into what the detail view shows:
+// grouped outbound links, supply progress and a flat, sortable tickers list.
+import { safeUrl } from "./sanitize";
+
+function hostLabel(href) {
+  return new URL(href).hostname.replace(/^www\./, "");
+}
+
+function items(urls, label = hostLabel) {
+  return (urls || [])
+    .map(safeUrl)
+    .filter(Boolean)
+    .map((href) => ({ href, label: typeof label === "function" ? label(href) : label }));
+}
+
+/**
+ * Outbound links grouped for display; empty groups are left out and each
+ * URL is checked with `safeUrl`.
+ * @returns {{ id: string, label: string, links: { href: string, label: string }[] }[]}
+ */
+export function coinLinks(detail) {
+  const links = detail?.links || {};
+  const whitepaper = typeof links.whitepaper === "string" ? links.whitepaper : links.whitepaper?.link;
+  const social = [
+    ...items(links.twitter_screen_name ? [`https://x.com/${links.twitter_screen_name}`] : [], "X (Twitter)"),
+    ...items(links.telegram_channel_identifier ? [`https://t.me/${links.telegram_channel_identifier}`] : [], "Telegram"),
+    ...items(links.facebook_username ? [`https://www.facebook.com/${links.facebook_username}`] : [], "Facebook"),
+    ...items([links.subreddit_url], "Reddit"),
+    ...items(links.chat_url),
+    ...items(links.official_forum_url),
+    ...items(links.announcement_url),
+  ];
+  const groups = [
+    { id: "website", label: "Website", links: [...items(links.homepage), ...items([whitepaper], "Whitepaper")] },
+    { id: "explorers", label: "Explorers", links: items(links.blockchain_site) },
+    { id: "community", label: "Community", links: social },
+    { id: "source", label: "Source code", links: [...items(links.repos_url?.github), ...items(links.repos_url?.bitbucket)] },
+  ];
+  return groups
+    .map((g) => ({ ...g, links: g.links.filter((l, i, all) => all.findIndex((o) => o.href === l.href) === i) }))
+    .filter((g) => g.links.length > 0);
+}
+
+/**
+ * Circulating supply against the max supply, or the total supply when the
+ * coin has no cap. Null when either figure is missing.
+ * @returns {{ circulating: number, cap: number, capKind: "max"|"total", ratio: number } | null}
+ */
+export function supplyProgress(marketData) {
+  const circulating = marketData?.circulating_supply;
+  const capKind = marketData?.max_supply ? "max" : "total";
+  const cap = marketData?.max_supply || marketData?.total_supply;
+  if (!circulating || !cap) return null;
+  return { circulating, cap, capKind, ratio: Math.min(1, circulating / cap) };
+}
+
+// Quote currencies CoinGecko converts ticker prices and volumes into.
+const TICKER_CONVERSIONS = ["usd", "btc", "eth"];
+
+/**
+ * Flatten `tickers` into table rows. Prices and volumes use the selected
+ * currency when the API converts into it and fall back to USD otherwise;
+ * `quote` says which one was used.
+ */
+export function tickerRows(tickers, currency) {
+  const quote = TICKER_CONVERSIONS.includes(currency) ? currency : "usd";
+  return (tickers || []).map((t, i) => ({
+    key: `${t.market?.identifier}:${t.base}:${t.target}:${i}`,
+    exchange: t.market?.name || t.market?.identifier || "-",
+    pair: `${t.base}/${t.target}`,
+    price: t.converted_last?.[quote] ?? null,
+    volume: t.converted_volume?.[quote] ?? null,
+    spread: t.bid_ask_spread_percentage ?? null,
+    trust: t.trust_score || null,
+    tradeUrl: safeUrl(t.trade_url),
+    stale: Boolean(t.is_stale || t.is_anomaly),
+    quote,
+  }));
+}
+
+const TRUST_RANK = { green: 3, yellow: 2, red: 1 };
+
+export const TICKER_SORTS = {
+  exchange: (r) => r.exchange.toLowerCase(),
+  pair: (r) => r.pair.toLowerCase(),
+  price: (r) => r.price,
+  volume: (r) => r.volume,
+  spread: (r) => r.spread,
+  trust: (r) => TRUST_RANK[r.trust] ?? 0,
+};
+
+// Sorted copy; rows missing the sort value go last in either direction.
+export function sortTickers(rows, key, dir) {
+  const get = TICKER_SORTS[key] || TICKER_SORTS.volume;
+  const sign = dir === "asc" ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const av = get(a);
+    const bv = get(b);
+    if (av == null) return bv == null ? 0 : 1;
+    if (bv == null) return -1;
+    if (av > bv) return sign;
+    if (av < bv) return -sign;
+    return 0;
+  });
+}
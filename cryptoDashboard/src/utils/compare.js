@@ -0,0 +1,82 @@
+// src/utils/compare.js
+// Multi-coin comparison maths over `/market_chart` price series
+// (`[timestamp, price]` pairs).
+import { CHART_RANGES } from "./chart";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const COMPARE_MIN = 2;
+export const COMPARE_MAX = 6;
+
+// 24h has too few daily returns to correlate
+export const COMPARE_RANGES = CHART_RANGES.filter((r) => r.id !== "24h");
+
+export function getCompareRange(id) {
+  return COMPARE_RANGES.find((r) => r.id === id) || COMPARE_RANGES[1];
+}
+
+export function parseCompareIds(param) {
+  const ids = (param || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return [...new Set(ids)].slice(0, COMPARE_MAX);
+}
+
+// Last price in each `bucketMs` window, keyed by window start.
+function bucketCloses(prices, bucketMs) {
+  const closes = new Map();
+  for (const [ts, price] of prices) closes.set(Math.floor(ts / bucketMs) * bucketMs, price);
+  return closes;
+}
+
+/**
+ * Chart rows `[Date, ...values]` with every series rebased to 100 at the
+ * first bucket all series share. Buckets before that are dropped so the lines
+ * start together; later gaps stay `null`.
+ */
+export function normalizedRows(seriesList, bucketMs) {
+  const closes = seriesList.map((prices) => bucketCloses(prices, bucketMs));
+  const times = [...new Set(closes.flatMap((m) => [...m.keys()]))].sort((a, b) => a - b);
+  const start = times.find((t) => closes.every((m) => m.has(t)));
+  if (start === undefined) return [];
+  const bases = closes.map((m) => m.get(start));
+  return times
+    .filter((t) => t >= start)
+    .map((t) => [new Date(t), ...closes.map((m, i) => (m.has(t) ? (m.get(t) / bases[i]) * 100 : null))]);
+}
+
+/** Daily simple returns per series, over the days every series covers. */
+export function dailyReturns(seriesList) {
+  if (seriesList.length === 0) return [];
+  const closes = seriesList.map((prices) => bucketCloses(prices, DAY));
+  const days = [...closes[0].keys()].filter((d) => closes.every((m) => m.has(d))).sort((a, b) => a - b);
+  return closes.map((m) => days.slice(1).map((d, i) => m.get(d) / m.get(days[i]) - 1));
+}
+
+/** Pearson correlation of two equal-length arrays; null when undefined. */
+export function correlation(a, b) {
+  const n = a.length;
+  if (n < 2) return null;
+  const ma = a.reduce((s, v) => s + v, 0) / n;
+  const mb = b.reduce((s, v) => s + v, 0) / n;
+  let cov = 0;
+  let va = 0;
+  let vb = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - ma) * (b[i] - mb);
+    va += (a[i] - ma) ** 2;
+    vb += (b[i] - mb) ** 2;
+  }
+  return va && vb ? cov / Math.sqrt(va * vb) : null;
+}
+
+/**
+ * Correlation matrix of daily returns. Returns `{ matrix, days }` where
+ * `days` is how many return observations went into each coefficient.
+ */
+export function correlationMatrix(seriesList) {
+  if (seriesList.length === 0) return { days: 0, matrix: [] };
+  const returns = dailyReturns(seriesList);
+  return {
+    days: returns[0]?.length || 0,
+    matrix: returns.map((a) => returns.map((b) => correlation(a, b))),
+  };
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { correlation, correlationMatrix, dailyReturns, normalizedRows, parseCompareIds } from "./compare";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// `[timestamp, price]` pairs, one per day from the epoch
+function series(...prices) {
+  return prices.map((p, i) => [i * DAY, p]);
+}
+
+describe("parseCompareIds", () => {
+  it("trims, drops blanks and duplicates and caps the list", () => {
+    expect(parseCompareIds(" btc,eth,,btc ")).toEqual(["btc", "eth"]);
+    expect(parseCompareIds("a,b,c,d,e,f,g")).toHaveLength(6);
+    expect(parseCompareIds(null)).toEqual([]);
+  });
+});
+
+describe("normalizedRows", () => {
+  it("rebases every series to 100 at the first shared bucket", () => {
+    const rows = normalizedRows([series(10, 20), [[DAY, 5]]], DAY);
+    expect(rows).toEqual([[new Date(DAY), 100, 100]]);
+  });
+
+  it("keeps later gaps as null", () => {
+    const rows = normalizedRows([series(10, 20, 15), series(4, 2)], DAY);
+    expect(rows.map((r) => r.slice(1))).toEqual([[100, 100], [200, 50], [150, null]]);
+  });
+
+  it("is empty when the series never overlap", () => {
+    expect(normalizedRows([[[0, 1]], [[DAY, 1]]], DAY)).toEqual([]);
+  });
+});
+
+describe("dailyReturns", () => {
+  it("uses only the days every series covers", () => {
+    const returns = dailyReturns([series(100, 110, 99), series(10, 20)]);
+    expect(returns[0]).toHaveLength(1);
+    expect(returns[0][0]).toBeCloseTo(0.1);
+    expect(returns[1][0]).toBeCloseTo(1);
+  });
+
+  it("returns nothing for no series", () => {
+    expect(dailyReturns([])).toEqual([]);
+  });
+});
+
+describe("correlation", () => {
+  it("is 1 and -1 for perfectly (anti-)correlated inputs", () => {
+    expect(correlation([1, 2, 3], [2, 4, 6])).toBeCloseTo(1);
+    expect(correlation([1, 2, 3], [3, 2, 1])).toBeCloseTo(-1);
+  });
+
+  it("is null with fewer than two points or no variance", () => {
+    expect(correlation([1], [1])).toBeNull();
+    expect(correlation([1, 1, 1], [1, 2, 3])).toBeNull();
+  });
+});
+
+describe("correlationMatrix", () => {
+  it("correlates daily returns and reports how many went in", () => {
+    const { days, matrix } = correlationMatrix([series(1, 2, 1, 2), series(5, 10, 5, 10)]);
+    expect(days).toBe(3);
+    expect(matrix[0][1]).toBeCloseTo(1);
+    expect(matrix[1][0]).toBeCloseTo(1);
+  });
+
+  it("handles an empty selection", () => {
+    expect(correlationMatrix([])).toEqual({ days: 0, matrix: [] });
+  });
+});
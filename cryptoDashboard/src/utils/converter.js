@@ -0,0 +1,108 @@
+// src/utils/converter.js
+// Math behind the converter and the what-if / target-price calculators.
+// Coin prices come from the market rows the table shows (quoted in the
+// selected currency); other quote currencies are bridged with the BTC-based
+// exchange rates from fetchExchangeRates.
+import { convertCurrency } from "./currencies";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Converter assets are keyed "coin:<coin id>" or "currency:<vs_currency id>".
+export function assetKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+export function parseAsset(key) {
+  const i = key.indexOf(":");
+  return { kind: key.slice(0, i), id: key.slice(i + 1) };
+}
+
+/**
+ * Value of one unit of `key` in `currency`, or null when its price or an
+ * exchange rate is not available yet.
+ * @param {string} key
+ * @param {{ coinsById: Map<string, Object>, currency: string, rates: Object<string, number>|null }} ctx
+ */
+export function unitValue(key, { coinsById, currency, rates }) {
+  const { kind, id } = parseAsset(key);
+  if (kind === "coin") return coinsById.get(id)?.current_price ?? null;
+  return convertCurrency(1, id, currency, rates);
+}
+
+// `amount` of `from` expressed in `to`; null if either side can't be priced.
+export function convertAmount(amount, from, to, ctx) {
+  if (from === to) return amount;
+  const fromValue = unitValue(from, ctx);
+  const toValue = unitValue(to, ctx);
+  if (!fromValue || !toValue) return null;
+  return (amount * fromValue) / toValue;
+}
+
+// A computed amount as an <input type="number"> value: about 10 significant
+// digits, without binary floating-point noise.
+export function amountInputValue(n) {
+  if (n == null || !Number.isFinite(n)) return "";
+  return String(Number(n.toPrecision(10)));
+}
+
+/**
+ * The history point closest to `ts`, as `[timestamp, price]`. Null when
+ * `ts` falls before the series starts (more than a day early), so a date
+ * older than the coin is not silently priced at its first trade.
+ */
+export function priceAt(prices, ts) {
+  if (!prices?.length || ts < prices[0][0] - DAY) return null;
+  let best = prices[0];
+  for (const point of prices) {
+    if (Math.abs(point[0] - ts) < Math.abs(best[0] - ts)) best = point;
+    if (point[0] > ts) break;
+  }
+  return best;
+}
+
+// History windows requested from fetchHistory. Fixed buckets keep the API
+// cache warm as the date changes, and the longest matches the 365-day limit
+// of CoinGecko's public API.
+export const HISTORY_BUCKETS = [1, 7, 30, 90, 365];
+export const MAX_HISTORY_DAYS = HISTORY_BUCKETS[HISTORY_BUCKETS.length - 1];
+
+// Earliest timestamp the longest bucket still covers, with a day to spare
+// for date inputs, which parse to midnight UTC.
+export function earliestHistoryDate(now = Date.now()) {
+  return now - (MAX_HISTORY_DAYS - 1) * DAY;
+}
+
+// Smallest history bucket (in days) that reaches back to `ts`, or null when
+// `ts` is older than the provider serves.
+export function historyDays(ts, now = Date.now()) {
+  const days = Math.max(1, Math.ceil((now - ts) / DAY));
+  return HISTORY_BUCKETS.find((b) => b >= days) ?? null;
+}
+
+/**
+ * "If I had bought `invested` worth on that day": quantity bought at
+ * `priceThen` and what it is worth at `priceNow`.
+ */
+export function whatIf({ invested, priceThen, priceNow }) {
+  if (!(invested > 0) || !(priceThen > 0) || !(priceNow >= 0)) return null;
+  const quantity = invested / priceThen;
+  const value = quantity * priceNow;
+  return { quantity, value, profit: value - invested, returnPct: ((value - invested) / invested) * 100 };
+}
+
+/**
+ * A position of `invested` entered at `entry`, valued at `target`.
+ * `moveFromNow` is how far the target is from the current price, in percent.
+ */
+export function targetReturn({ invested, entry, target, current }) {
+  if (!(invested > 0) || !(entry > 0) || !(target >= 0)) return null;
+  const quantity = invested / entry;
+  const value = quantity * target;
+  return {
+    quantity,
+    value,
+    profit: value - invested,
+    returnPct: ((target - entry) / entry) * 100,
+    moveFromNow: current > 0 ? ((target - current) / current) * 100 : null,
+  };
+}
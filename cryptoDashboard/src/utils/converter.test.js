@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import {
+  amountInputValue,
+  assetKey,
+  convertAmount,
+  earliestHistoryDate,
+  historyDays,
+  MAX_HISTORY_DAYS,
+  priceAt,
+  targetReturn,
+  whatIf,
+} from "./converter";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ctx = {
+  coinsById: new Map([
+    ["bitcoin", { current_price: 50000 }],
+    ["ethereum", { current_price: 2500 }],
+    ["unpriced", { current_price: null }],
+  ]),
+  currency: "usd",
+  // BTC-based, as returned by fetchExchangeRates
+  rates: { btc: 1, usd: 50000, eur: 40000 },
+};
+
+describe("convertAmount", () => {
+  it("converts between coins through the selected currency", () => {
+    expect(convertAmount(1, assetKey("coin", "bitcoin"), assetKey("coin", "ethereum"), ctx)).toBe(20);
+  });
+
+  it("bridges other currencies with the exchange rates", () => {
+    expect(convertAmount(1, assetKey("coin", "bitcoin"), assetKey("currency", "eur"), ctx)).toBeCloseTo(40000);
+    expect(convertAmount(40000, assetKey("currency", "eur"), assetKey("currency", "usd"), ctx)).toBeCloseTo(50000);
+  });
+
+  it("is null when either side has no price", () => {
+    expect(convertAmount(1, assetKey("coin", "unpriced"), assetKey("coin", "bitcoin"), ctx)).toBeNull();
+    expect(convertAmount(1, assetKey("coin", "bitcoin"), assetKey("currency", "eur"), { ...ctx, rates: null })).toBeNull();
+  });
+
+  it("returns the amount unchanged for the same asset", () => {
+    expect(convertAmount(3, assetKey("coin", "unpriced"), assetKey("coin", "unpriced"), ctx)).toBe(3);
+  });
+});
+
+describe("amountInputValue", () => {
+  it("drops floating-point noise and non-finite values", () => {
+    expect(amountInputValue(0.1 + 0.2)).toBe("0.3");
+    expect(amountInputValue(null)).toBe("");
+    expect(amountInputValue(Infinity)).toBe("");
+  });
+});
+
+describe("priceAt", () => {
+  const prices = [[10 * DAY, 1], [11 * DAY, 2], [12 * DAY, 3]];
+
+  it("picks the closest point", () => {
+    expect(priceAt(prices, 11 * DAY + DAY / 4)).toEqual([11 * DAY, 2]);
+    expect(priceAt(prices, 20 * DAY)).toEqual([12 * DAY, 3]);
+  });
+
+  it("is null more than a day before the series starts", () => {
+    expect(priceAt(prices, 10 * DAY - DAY / 2)).toEqual([10 * DAY, 1]);
+    expect(priceAt(prices, 8 * DAY)).toBeNull();
+    expect(priceAt([], 10 * DAY)).toBeNull();
+  });
+});
+
+describe("historyDays", () => {
+  const now = Date.UTC(2025, 5, 15, 12);
+
+  it("returns the smallest bucket that reaches back to the date", () => {
+    expect(historyDays(now - DAY / 2, now)).toBe(1);
+    expect(historyDays(now - 3 * DAY, now)).toBe(7);
+    expect(historyDays(now - 30 * DAY, now)).toBe(30);
+    expect(historyDays(now - 31 * DAY, now)).toBe(90);
+  });
+
+  it("covers the earliest selectable date within the public limit", () => {
+    const earliest = earliestHistoryDate(now);
+    // date inputs parse to midnight UTC, so the picked day can start earlier
+    const picked = Math.floor(earliest / DAY) * DAY;
+    expect(historyDays(picked, now)).toBe(MAX_HISTORY_DAYS);
+  });
+
+  it("is null beyond the longest bucket", () => {
+    expect(historyDays(now - (MAX_HISTORY_DAYS + 1) * DAY, now)).toBeNull();
+  });
+});
+
+describe("whatIf", () => {
+  it("values the quantity bought then at today's price", () => {
+    expect(whatIf({ invested: 100, priceThen: 10, priceNow: 25 })).toEqual({ quantity: 10, value: 250, profit: 150, returnPct: 150 });
+  });
+
+  it("is null for missing or non-positive inputs", () => {
+    expect(whatIf({ invested: 0, priceThen: 10, priceNow: 25 })).toBeNull();
+    expect(whatIf({ invested: 100, priceThen: null, priceNow: 25 })).toBeNull();
+  });
+});
+
+describe("targetReturn", () => {
+  it("values the position at the target and measures the move from now", () => {
+    expect(targetReturn({ invested: 100, entry: 50, target: 75, current: 60 })).toEqual({
+      quantity: 2,
+      value: 150,
+      profit: 50,
+      returnPct: 50,
+      moveFromNow: 25,
+    });
+  });
+
+  it("leaves the move unknown without a current price", () => {
+    expect(targetReturn({ invested: 100, entry: 50, target: 75, current: null }).moveFromNow).toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+// src/utils/currencies.js
+// Quote currencies the dashboard can price coins in. Keys are CoinGecko
+// `vs_currency` ids; `locale` drives grouping/decimal separators and
+// `decimals` pins the precision of crypto quotes (8 = satoshi level).
+
+export const CURRENCIES = {
+  usd: { id: "usd", code: "USD", label: "US Dollar", locale: "en-US", fiat: true },
+  eur: { id: "eur", code: "EUR", label: "Euro", locale: "de-DE", fiat: true },
+  gbp: { id: "gbp", code: "GBP", label: "British Pound", locale: "en-GB", fiat: true },
+  inr: { id: "inr", code: "INR", label: "Indian Rupee", locale: "en-IN", fiat: true },
+  jpy: { id: "jpy", code: "JPY", label: "Japanese Yen", locale: "ja-JP", fiat: true },
+  btc: { id: "btc", code: "BTC", label: "Bitcoin", locale: "en-US", fiat: false, symbol: "₿", decimals: 8 },
+  eth: { id: "eth", code: "ETH", label: "Ether", locale: "en-US", fiat: false, symbol: "Ξ", decimals: 8 },
+};
+
+export const DEFAULT_CURRENCY = "usd";
+
+export function getCurrency(id) {
+  return CURRENCIES[id] || CURRENCIES[DEFAULT_CURRENCY];
+}
+
+// Converts between quote currencies using BTC-relative rates as returned by
+// fetchExchangeRates (units of each currency per 1 BTC). Returns null when
+// either rate is unknown.
+export function convertCurrency(amount, from, to, rates) {
+  if (from === to) return amount;
+  const fromRate = rates?.[from];
+  const toRate = rates?.[to];
+  if (!fromRate || !toRate) return null;
+  return (amount / fromRate) * toRate;
+}
@@ -0,0 +1,89 @@
+// src/utils/export.js
+// Table exports. An export is `{ title, exportedAt, meta, columns, rows }`
+// where `columns` is `[{ id, label }]` and `rows` holds raw values — numbers
+// are never run through the display formatters.
+import { createXlsx } from "./xlsx";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV" },
+  { id: "json", label: "JSON" },
+  { id: "xlsx", label: "Excel (XLSX)" },
+];
+
+// Text cells starting with these are run as formulas by Excel and Sheets.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One CSV cell. Strings (names and symbols come from a third-party API) that
+// look like a formula get a leading `'`; numbers are written raw, so negative
+// values stay numeric.
+export function csvField(value) {
+  if (value == null) return "";
+  let s = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Lines above the header row: title, timestamp and any extra metadata.
+function headerLines(table) {
+  return [
+    [table.title],
+    ["Exported at", table.exportedAt.toISOString()],
+    ...(table.meta || []),
+  ];
+}
+
+// The CSV document as text. Each header line is one `# key: value` cell,
+// escaped like any other so a comma in a value doesn't split it.
+export function csvText(table) {
+  const lines = [
+    ...headerLines(table).map((l) => csvField(`# ${l.join(": ")}`)),
+    table.columns.map((c) => csvField(c.label)).join(","),
+    ...table.rows.map((row) => row.map(csvField).join(",")),
+  ];
+  return lines.join("\r\n") + "\r\n";
+}
+
+function toCsv(table) {
+  return new Blob([csvText(table)], { type: "text/csv;charset=utf-8" });
+}
+
+function toJson(table) {
+  const data = {
+    title: table.title,
+    exportedAt: table.exportedAt.toISOString(),
+    ...Object.fromEntries((table.meta || []).map(([k, v]) => [k, v])),
+    columns: table.columns.map((c) => c.id),
+    rows: table.rows.map((row) => Object.fromEntries(table.columns.map((c, i) => [c.id, row[i] ?? null]))),
+  };
+  return new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+}
+
+function toXlsx(table) {
+  return createXlsx([
+    ...headerLines(table),
+    [],
+    table.columns.map((c) => c.label),
+    ...table.rows,
+  ], table.title);
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function fileStamp(date) {
+  return date.toISOString().slice(0, 19).replace(/[:T]/g, "-");
+}
+
+/** Serializes `table` in `format` ("csv" | "json" | "xlsx") and downloads it. */
+export function exportTable(table, format, basename) {
+  const blob = format === "json" ? toJson(table) : format === "xlsx" ? toXlsx(table) : toCsv(table);
+  download(blob, `${basename}-${fileStamp(table.exportedAt)}.${format}`);
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { csvField, csvText } from "./export";
+
+describe("csvField", () => {
+  it("prefixes text that spreadsheets would run as a formula", () => {
+    expect(csvField("=HYPERLINK(\"http://x\")")).toBe(`"'=HYPERLINK(""http://x"")"`);
+    expect(csvField("+1")).toBe("'+1");
+    expect(csvField("-2+3")).toBe("'-2+3");
+    expect(csvField("@SUM(A1)")).toBe("'@SUM(A1)");
+    expect(csvField("\tcmd")).toBe("'\tcmd");
+  });
+
+  it("writes numbers raw so negatives stay numeric", () => {
+    expect(csvField(-1.5)).toBe("-1.5");
+    expect(csvField(0)).toBe("0");
+  });
+
+  it("quotes separators, quotes and line breaks", () => {
+    expect(csvField("a,b")).toBe('"a,b"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField("a\nb")).toBe('"a\nb"');
+  });
+
+  it("writes missing values as empty cells", () => {
+    expect(csvField(null)).toBe("");
+    expect(csvField(undefined)).toBe("");
+    expect(csvField("Bitcoin")).toBe("Bitcoin");
+  });
+});
+
+describe("csvText", () => {
+  const table = {
+    title: "Crypto market",
+    exportedAt: new Date(Date.UTC(2025, 0, 2, 3, 4, 5)),
+    meta: [["View", "Category: Layer 1, Smart Contracts"]],
+    columns: [{ id: "name", label: "Name" }, { id: "price", label: "Price" }],
+    rows: [["Bitcoin", 1.5], ["=cmd", null]],
+  };
+
+  it("writes header lines, the column labels and the rows", () => {
+    expect(csvText(table).split("\r\n")).toEqual([
+      "# Crypto market",
+      "# Exported at: 2025-01-02T03:04:05.000Z",
+      '"# View: Category: Layer 1, Smart Contracts"',
+      "Name,Price",
+      "Bitcoin,1.5",
+      "'=cmd,",
+      "",
+    ]);
+  });
+});
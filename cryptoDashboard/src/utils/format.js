@@ -0,0 +1,53 @@
+// src/utils/format.js
+// Display formatters. Every money formatter takes the quote currency id so
+// symbols, separators and precision follow the user's selection.
+import { DEFAULT_CURRENCY, getCurrency } from "./currencies";
+
+// Fiat prices keep cents above 1 and widen for sub-unit coins; crypto quotes
+// always use the currency's fixed precision.
+function priceDigits(n, cur) {
+  if (!cur.fiat) return cur.decimals;
+  const abs = Math.abs(n);
+  if (abs >= 1) return 2;
+  if (abs >= 0.01) return 4;
+  return 8;
+}
+
+function formatWith(n, cur, minimumFractionDigits, maximumFractionDigits) {
+  if (cur.fiat) {
+    return new Intl.NumberFormat(cur.locale, {
+      style: "currency",
+      currency: cur.code,
+      minimumFractionDigits,
+      maximumFractionDigits,
+    }).format(n);
+  }
+  const num = new Intl.NumberFormat(cur.locale, { minimumFractionDigits, maximumFractionDigits }).format(n);
+  return `${cur.symbol}${num}`;
+}
+
+// Unit price of a coin, e.g. a table price cell.
+export function formatPrice(n, currency = DEFAULT_CURRENCY) {
+  if (n === null || n === undefined) return "-";
+  const cur = getCurrency(currency);
+  const digits = priceDigits(n, cur);
+  return formatWith(n, cur, Math.min(digits, 2), digits);
+}
+
+// Large aggregate amounts (market cap, volume). Whole units for fiat; crypto
+// quotes keep a couple of decimals since totals are far smaller numbers.
+export function formatCurrency(n, currency = DEFAULT_CURRENCY) {
+  if (n === null || n === undefined) return "-";
+  const cur = getCurrency(currency);
+  return formatWith(n, cur, 0, cur.fiat ? 0 : 2);
+}
+
+export function formatNumber(n, currency = DEFAULT_CURRENCY) {
+  if (n === null || n === undefined) return "-";
+  return new Intl.NumberFormat(getCurrency(currency).locale).format(n);
+}
+
+export function formatPercent(n) {
+  if (n === null || n === undefined) return "-";
+  return `${n.toFixed(2)}%`;
+}
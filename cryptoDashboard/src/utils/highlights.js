@@ -0,0 +1,75 @@
+// src/utils/highlights.js
+// Highlight lists over market rows. Each type ranks the whole input; cards
+// show the head of the list and the "View more" page shows all of it.
+// `ctx` is `{ coins, trending, recentlyAdded, visits }` where `trending` and
+// `recentlyAdded` are market rows in source order and `visits` maps coin id
+// to how often it was opened on this device.
+
+const hasNumber = (field) => (c) => typeof c[field] === "number";
+
+export const HIGHLIGHT_TYPES = [
+  {
+    id: "trending",
+    title: "Trending",
+    description: "Most searched coins on CoinGecko in the last 24 hours.",
+    rank: ({ trending }) => trending,
+  },
+  {
+    id: "gainers",
+    title: "Top Gainers",
+    description: "Largest 24h price increase among loaded coins.",
+    rank: ({ coins }) => coins
+      .filter(hasNumber("price_change_percentage_24h"))
+      .sort((a, b) => b.price_change_percentage_24h - a.price_change_percentage_24h),
+  },
+  {
+    id: "losers",
+    title: "Top Losers",
+    description: "Largest 24h price decrease among loaded coins.",
+    rank: ({ coins }) => coins
+      .filter(hasNumber("price_change_percentage_24h"))
+      .sort((a, b) => a.price_change_percentage_24h - b.price_change_percentage_24h),
+  },
+  {
+    id: "most-visited",
+    title: "Most Visited",
+    description: "Coins you open most often on this device.",
+    rank: ({ coins, trending, recentlyAdded, visits }) => {
+      const byId = new Map([...recentlyAdded, ...trending, ...coins].map((c) => [c.id, c]));
+      return Object.entries(visits)
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, count]) => byId.get(id) && { ...byId.get(id), visits: count })
+        .filter(Boolean);
+    },
+    metric: "visits",
+  },
+  {
+    id: "recently-added",
+    title: "Recently Added",
+    description: "Newest coins listed on CoinGecko.",
+    rank: ({ recentlyAdded }) => recentlyAdded,
+  },
+  {
+    id: "highest-volume",
+    title: "Highest Volume",
+    description: "Largest 24h trading volume among loaded coins.",
+    rank: ({ coins }) => coins.filter(hasNumber("total_volume")).sort((a, b) => b.total_volume - a.total_volume),
+    metric: "volume",
+  },
+  {
+    id: "volume-ratio",
+    title: "Volume / Market Cap",
+    description: "Highest 24h volume relative to market cap among loaded coins.",
+    rank: ({ coins }) => coins
+      .filter((c) => c.market_cap > 0 && typeof c.total_volume === "number")
+      .map((c) => ({ ...c, volume_ratio: (c.total_volume / c.market_cap) * 100 }))
+      .sort((a, b) => b.volume_ratio - a.volume_ratio),
+    metric: "ratio",
+  },
+];
+
+export const DEFAULT_HIGHLIGHTS = ["trending", "gainers", "losers"];
+
+export function getHighlightType(id) {
+  return HIGHLIGHT_TYPES.find((t) => t.id === id);
+}
@@ -0,0 +1,134 @@
+// src/utils/portfolio.js
+// Portfolio accounting on the average-cost method. Transactions are stored in
+// the currency they were entered in and converted to the display currency at
+// current exchange rates.
+
+export const TRANSACTION_TYPES = [
+  { id: "buy", label: "Buy" },
+  { id: "sell", label: "Sell" },
+  { id: "transfer_in", label: "Transfer in" },
+  { id: "transfer_out", label: "Transfer out" },
+];
+
+const INBOUND = new Set(["buy", "transfer_in"]);
+
+/**
+ * @typedef {Object} Transaction
+ * @property {string} id
+ * @property {string} coinId
+ * @property {"buy"|"sell"|"transfer_in"|"transfer_out"} type
+ * @property {number} quantity   Always positive; `type` gives the direction.
+ * @property {number} price      Unit price (cost basis for transfers in).
+ * @property {number} fee
+ * @property {string} currency   Quote currency `price` and `fee` are in.
+ * @property {string} date       ISO timestamp.
+ */
+
+// Quantity of `coinId` held, now or as of the ISO date `asOf` (inclusive).
+export function heldQuantity(transactions, coinId, asOf) {
+  const until = asOf ? new Date(asOf).getTime() : Infinity;
+  return transactions
+    .filter((t) => t.coinId === coinId && new Date(t.date).getTime() <= until)
+    .reduce((q, t) => (INBOUND.has(t.type) ? q + t.quantity : q - t.quantity), 0);
+}
+
+// Whether one coin's transactions ever take its running balance below zero.
+function overdrawn(transactions) {
+  const ordered = [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+  let balance = 0;
+  for (const t of ordered) {
+    balance += INBOUND.has(t.type) ? t.quantity : -t.quantity;
+    if (balance < -1e-12) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether adding `tx` would take the running balance of its coin below zero
+ * at any point: at its own date, or later, where existing sells relied on
+ * the coins it removes.
+ */
+export function wouldOverdraw(transactions, tx) {
+  return overdrawn([...transactions.filter((t) => t.coinId === tx.coinId), tx]);
+}
+
+// Whether deleting transaction `id` would leave later sells or transfers out
+// spending coins that are no longer there.
+export function removalWouldOverdraw(transactions, id) {
+  const tx = transactions.find((t) => t.id === id);
+  if (!tx || !INBOUND.has(tx.type)) return false;
+  return overdrawn(transactions.filter((t) => t.coinId === tx.coinId && t.id !== id));
+}
+
+/**
+ * Replays transactions per coin in date order.
+ *
+ * @param {Transaction[]} transactions
+ * @param {{ priceOf: (coinId: string) => number|null, convert: (amount: number, from: string) => number|null }} market
+ *   `priceOf` gives the current unit price and `convert` moves an amount into
+ *   the display currency (null when no rate is available).
+ * @returns {{ holdings: Object[], totals: { value: number, cost: number|null, realized: number|null, unrealized: number|null } }}
+ *   A holding with any transaction that could not be converted has null
+ *   `cost`, `averageCost`, `realized` and `unrealized` (its quantity and
+ *   value are still known); the cost and P&L totals are null if any holding's are.
+ */
+export function computeHoldings(transactions, { priceOf, convert }) {
+  const byCoin = new Map();
+  const ordered = [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const t of ordered) {
+    const price = convert(t.price || 0, t.currency);
+    const fee = convert(t.fee || 0, t.currency);
+    const h = byCoin.get(t.coinId) || { coinId: t.coinId, quantity: 0, cost: 0, realized: 0, transactions: 0, costKnown: true };
+    h.transactions += 1;
+    // without a rate the cost basis is unknown, not zero; keep replaying so
+    // the quantity stays right
+    if (price == null || fee == null) h.costKnown = false;
+
+    if (INBOUND.has(t.type)) {
+      h.quantity += t.quantity;
+      h.cost += t.quantity * price + fee;
+    } else {
+      const qty = Math.min(t.quantity, h.quantity);
+      const avg = h.quantity > 0 ? h.cost / h.quantity : 0;
+      h.cost -= avg * qty;
+      h.quantity -= qty;
+      // a transfer out moves coins without a sale; only its fee is a loss
+      h.realized += t.type === "sell" ? qty * price - fee - avg * qty : -fee;
+    }
+    byCoin.set(t.coinId, h);
+  }
+
+  const holdings = [...byCoin.values()].map(({ costKnown, ...h }) => {
+    const current = priceOf(h.coinId);
+    const value = current == null ? null : h.quantity * current;
+    if (!costKnown) {
+      return { ...h, cost: null, realized: null, averageCost: null, price: current, value, unrealized: null };
+    }
+    return {
+      ...h,
+      averageCost: h.quantity > 0 ? h.cost / h.quantity : null,
+      price: current,
+      value,
+      unrealized: value == null ? null : value - h.cost,
+    };
+  });
+
+  // null stays null: one unknown cost makes the total unknown
+  const add = (a, b) => (a == null || b == null ? null : a + b);
+  const totals = holdings.reduce(
+    (acc, h) => ({
+      value: acc.value + (h.value || 0),
+      cost: add(acc.cost, h.cost),
+      realized: add(acc.realized, h.realized),
+      unrealized: add(acc.unrealized, h.cost == null ? null : h.unrealized || 0),
+    }),
+    { value: 0, cost: 0, realized: 0, unrealized: 0 },
+  );
+
+  for (const h of holdings) {
+    h.allocation = totals.value > 0 && h.value ? (h.value / totals.value) * 100 : 0;
+  }
+  holdings.sort((a, b) => (b.value || 0) - (a.value || 0));
+  return { holdings, totals };
+}
@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import { computeHoldings, heldQuantity, removalWouldOverdraw, wouldOverdraw } from "./portfolio";
+
+function tx(overrides) {
+  return { id: Math.random().toString(36), coinId: "btc", type: "buy", quantity: 1, price: 100, fee: 0, currency: "usd", date: "2024-01-01T00:00:00.000Z", ...overrides };
+}
+
+const market = (prices, rates = { usd: 1, eur: 0.5 }) => ({
+  priceOf: (id) => prices[id] ?? null,
+  convert: (amount, from) => (rates[from] ? amount / rates[from] : null),
+});
+
+describe("computeHoldings", () => {
+  it("tracks average cost, realized and unrealized P&L", () => {
+    const { holdings, totals } = computeHoldings(
+      [
+        tx({ quantity: 2, price: 100, fee: 2 }),
+        tx({ type: "sell", quantity: 1, price: 150, fee: 1, date: "2024-02-01T00:00:00.000Z" }),
+      ],
+      market({ btc: 200 }),
+    );
+    const [btc] = holdings;
+    expect(btc.quantity).toBe(1);
+    expect(btc.cost).toBe(101);
+    expect(btc.averageCost).toBe(101);
+    expect(btc.realized).toBe(150 - 1 - 101);
+    expect(btc.unrealized).toBe(200 - 101);
+    expect(btc.allocation).toBe(100);
+    expect(totals).toEqual({ value: 200, cost: 101, realized: 48, unrealized: 99 });
+  });
+
+  it("only books the fee as a loss on a transfer out", () => {
+    const { holdings } = computeHoldings(
+      [tx({ quantity: 2 }), tx({ type: "transfer_out", quantity: 1, fee: 3, date: "2024-02-01T00:00:00.000Z" })],
+      market({ btc: 100 }),
+    );
+    expect(holdings[0].realized).toBe(-3);
+    expect(holdings[0].cost).toBe(100);
+  });
+
+  it("leaves cost and P&L unknown when a transaction's currency has no rate", () => {
+    const { holdings, totals } = computeHoldings(
+      [tx({ coinId: "eth", price: 10, currency: "jpy" }), tx({ price: 100 })],
+      market({ btc: 100, eth: 20 }),
+    );
+    const eth = holdings.find((h) => h.coinId === "eth");
+    expect(eth).toMatchObject({ quantity: 1, value: 20, cost: null, averageCost: null, realized: null, unrealized: null });
+    expect(totals.value).toBe(120);
+    expect(totals.cost).toBeNull();
+    expect(totals.unrealized).toBeNull();
+  });
+
+  it("converts transactions entered in another currency", () => {
+    const { holdings } = computeHoldings([tx({ price: 50, currency: "eur" })], market({ btc: 100 }));
+    expect(holdings[0].cost).toBe(100);
+  });
+});
+
+describe("heldQuantity", () => {
+  const txs = [
+    tx({ quantity: 2 }),
+    tx({ type: "sell", quantity: 1, date: "2024-03-01T00:00:00.000Z" }),
+    tx({ coinId: "eth", quantity: 5 }),
+  ];
+
+  it("sums the coin's transactions", () => {
+    expect(heldQuantity(txs, "btc")).toBe(1);
+  });
+
+  it("counts only transactions up to `asOf`", () => {
+    expect(heldQuantity(txs, "btc", "2024-02-01T00:00:00.000Z")).toBe(2);
+    expect(heldQuantity(txs, "btc", "2023-12-31T00:00:00.000Z")).toBe(0);
+  });
+});
+
+describe("wouldOverdraw", () => {
+  const txs = [tx({ quantity: 2, date: "2024-02-01T00:00:00.000Z" })];
+
+  it("rejects a sell dated before the coins were bought", () => {
+    expect(wouldOverdraw(txs, tx({ type: "sell", quantity: 1, date: "2024-01-01T00:00:00.000Z" }))).toBe(true);
+  });
+
+  it("allows a sell covered at its date", () => {
+    expect(wouldOverdraw(txs, tx({ type: "sell", quantity: 2, date: "2024-03-01T00:00:00.000Z" }))).toBe(false);
+  });
+
+  it("rejects a sell that a later sell already relied on", () => {
+    const withSell = [...txs, tx({ type: "sell", quantity: 2, date: "2024-04-01T00:00:00.000Z" })];
+    expect(wouldOverdraw(withSell, tx({ type: "transfer_out", quantity: 1, date: "2024-03-01T00:00:00.000Z" }))).toBe(true);
+  });
+});
+
+describe("removalWouldOverdraw", () => {
+  const buy = tx({ id: "buy", quantity: 2 });
+  const sell = tx({ id: "sell", type: "sell", quantity: 2, date: "2024-02-01T00:00:00.000Z" });
+
+  it("blocks deleting a buy that a later sell spent", () => {
+    expect(removalWouldOverdraw([buy, sell], "buy")).toBe(true);
+  });
+
+  it("allows deleting a buy that is still covered, or any sell", () => {
+    const extra = tx({ id: "extra", quantity: 2, date: "2024-01-15T00:00:00.000Z" });
+    expect(removalWouldOverdraw([buy, extra, sell], "buy")).toBe(false);
+    expect(removalWouldOverdraw([buy, sell], "sell")).toBe(false);
+    expect(removalWouldOverdraw([buy, sell], "missing")).toBe(false);
+  });
+});
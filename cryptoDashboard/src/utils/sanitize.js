@@ -0,0 +1,56 @@
+// src/utils/sanitize.js
+// Whitelist sanitizer for vendor-supplied HTML (coin descriptions). Only
+// inline formatting, lists and http(s) links survive; other elements are
+// unwrapped to their text, and scripts, styles and embeds are dropped.
+
+const ALLOWED_TAGS = new Set(["A", "P", "BR", "STRONG", "B", "EM", "I", "UL", "OL", "LI"]);
+const DROPPED_TAGS = new Set(["SCRIPT", "STYLE", "IFRAME", "OBJECT", "EMBED", "NOSCRIPT", "TEMPLATE", "SVG", "MATH", "FORM"]);
+
+// `url` if it is an absolute http(s) URL, otherwise null. Guards every link
+// that comes from API data, including `javascript:` and data URLs.
+export function safeUrl(url) {
+  if (typeof url !== "string" || !url.trim()) return null;
+  try {
+    const parsed = new URL(url.trim());
+    return parsed.protocol === "http:" || parsed.protocol === "https:" ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function clean(parent) {
+  for (const node of [...parent.childNodes]) {
+    if (node.nodeType === Node.TEXT_NODE) continue;
+    // only HTML elements report an uppercase tagName; SVG and MathML ones
+    // (and a <script> or <style> inside them) keep the source's case
+    const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toUpperCase() : null;
+    if (!tag || DROPPED_TAGS.has(tag)) {
+      node.remove();
+      continue;
+    }
+    clean(node);
+    if (!ALLOWED_TAGS.has(tag)) {
+      node.replaceWith(...node.childNodes);
+      continue;
+    }
+    const href = tag === "A" ? safeUrl(node.getAttribute("href")) : null;
+    for (const attr of [...node.attributes]) node.removeAttribute(attr.name);
+    if (href) {
+      node.setAttribute("href", href);
+      node.setAttribute("target", "_blank");
+      node.setAttribute("rel", "noopener noreferrer nofollow");
+    }
+  }
+}
+
+/**
+ * @param {string} html untrusted markup
+ * @returns {string} markup safe to pass to `dangerouslySetInnerHTML`
+ */
+export function sanitizeHtml(html) {
+  if (!html) return "";
+  // DOMParser documents are inert: nothing loads or runs while we walk them
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  clean(doc.body);
+  return doc.body.innerHTML;
+}
@@ -0,0 +1,51 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from "vitest";
+import { safeUrl, sanitizeHtml } from "./sanitize";
+
+describe("safeUrl", () => {
+  it("accepts absolute http(s) URLs", () => {
+    expect(safeUrl(" https://bitcoin.org ")).toBe("https://bitcoin.org/");
+    expect(safeUrl("http://example.com/a?b=1")).toBe("http://example.com/a?b=1");
+  });
+
+  it("rejects other schemes, relative URLs and non-strings", () => {
+    expect(safeUrl("javascript:alert(1)")).toBeNull();
+    expect(safeUrl("data:text/html,<script>alert(1)</script>")).toBeNull();
+    expect(safeUrl("/coins/bitcoin")).toBeNull();
+    expect(safeUrl("")).toBeNull();
+    expect(safeUrl(null)).toBeNull();
+  });
+});
+
+describe("sanitizeHtml", () => {
+  it("keeps formatting and lists", () => {
+    expect(sanitizeHtml("<p><strong>Bold</strong> and <em>em</em></p><ul><li>one</li></ul>"))
+      .toBe("<p><strong>Bold</strong> and <em>em</em></p><ul><li>one</li></ul>");
+  });
+
+  it("drops scripts, styles and embeds with their content", () => {
+    expect(sanitizeHtml('a<script>alert(1)</script><style>p{}</style><iframe src="https://x.test"></iframe>b')).toBe("ab");
+  });
+
+  it("drops SVG and MathML with any script or style inside, whatever the case", () => {
+    expect(sanitizeHtml("a<svg><script>alert(1)</script><style>p{}</style></svg>b")).toBe("ab");
+    expect(sanitizeHtml("a<math><mi>x</mi><style>p{}</style></math>b")).toBe("ab");
+    expect(sanitizeHtml("a<SCRIPT>alert(1)</SCRIPT>b")).toBe("ab");
+  });
+
+  it("unwraps other elements to their text", () => {
+    expect(sanitizeHtml('<div class="x"><span>text</span></div>')).toBe("text");
+  });
+
+  it("strips attributes and opens safe links in a new tab", () => {
+    expect(sanitizeHtml('<a href="https://bitcoin.org" onclick="steal()" style="color:red">site</a>'))
+      .toBe('<a href="https://bitcoin.org/" target="_blank" rel="noopener noreferrer nofollow">site</a>');
+    expect(sanitizeHtml('<a href="javascript:alert(1)">bad</a>')).toBe("<a>bad</a>");
+    expect(sanitizeHtml('<p onmouseover="x()">hi</p>')).toBe("<p>hi</p>");
+  });
+
+  it("returns an empty string for empty input", () => {
+    expect(sanitizeHtml("")).toBe("");
+    expect(sanitizeHtml(null)).toBe("");
+  });
+});
@@ -0,0 +1,70 @@
+// src/utils/screener.js
+// Multi-condition numeric screener over market rows. A screener is
+// `{ combinator: "and"|"or", conditions: [{ field, min, max }] }`; an empty
+// bound is open, and conditions with neither bound are ignored.
+
+export const SCREENER_FIELDS = [
+  { id: "current_price", label: "Price", get: (c) => c.current_price },
+  { id: "market_cap", label: "Market cap", get: (c) => c.market_cap },
+  { id: "total_volume", label: "24h volume", get: (c) => c.total_volume },
+  { id: "price_change_percentage_24h", label: "24h change (%)", get: (c) => c.price_change_percentage_24h },
+  { id: "market_cap_rank", label: "Rank", get: (c) => c.market_cap_rank },
+  {
+    id: "volume_to_market_cap",
+    label: "Volume / market cap (%)",
+    get: (c) => (c.market_cap ? (c.total_volume / c.market_cap) * 100 : null),
+  },
+];
+
+export const EMPTY_SCREENER = { combinator: "and", conditions: [] };
+
+function isBound(v) {
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(Number(v));
+}
+
+function activeConditions(screener) {
+  return (screener?.conditions || []).filter((c) => isBound(c.min) || isBound(c.max));
+}
+
+export function isScreenerActive(screener) {
+  return activeConditions(screener).length > 0;
+}
+
+function matches(coin, cond) {
+  const field = SCREENER_FIELDS.find((f) => f.id === cond.field);
+  if (!field) return true;
+  const v = field.get(coin);
+  if (typeof v !== "number" || Number.isNaN(v)) return false;
+  if (isBound(cond.min) && v < Number(cond.min)) return false;
+  if (isBound(cond.max) && v > Number(cond.max)) return false;
+  return true;
+}
+
+export function applyScreener(coins, screener) {
+  const conds = activeConditions(screener);
+  if (conds.length === 0) return coins;
+  const test = screener.combinator === "or"
+    ? (c) => conds.some((cond) => matches(c, cond))
+    : (c) => conds.every((cond) => matches(c, cond));
+  return coins.filter(test);
+}
+
+// Compact query-string form: "and|market_cap:1000000000:|market_cap_rank::100"
+export function encodeScreener(screener) {
+  const conds = activeConditions(screener);
+  if (conds.length === 0) return "";
+  const parts = conds.map((c) => `${c.field}:${isBound(c.min) ? c.min : ""}:${isBound(c.max) ? c.max : ""}`);
+  return [screener.combinator === "or" ? "or" : "and", ...parts].join("|");
+}
+
+export function decodeScreener(text) {
+  if (!text) return EMPTY_SCREENER;
+  const [combinator, ...parts] = text.split("|");
+  const conditions = parts
+    .map((p) => {
+      const [field, min = "", max = ""] = p.split(":");
+      return { field, min, max };
+    })
+    .filter((c) => SCREENER_FIELDS.some((f) => f.id === c.field));
+  return { combinator: combinator === "or" ? "or" : "and", conditions };
+}
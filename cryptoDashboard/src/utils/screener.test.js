@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { applyScreener, decodeScreener, EMPTY_SCREENER, encodeScreener, isScreenerActive } from "./screener";
+
+const coins = [
+  { id: "btc", current_price: 60000, market_cap: 1e12, total_volume: 3e10, market_cap_rank: 1 },
+  { id: "eth", current_price: 3000, market_cap: 4e11, total_volume: 2e10, market_cap_rank: 2 },
+  { id: "doge", current_price: 0.1, market_cap: 1e10, total_volume: null, market_cap_rank: 9 },
+];
+
+const ids = (rows) => rows.map((c) => c.id);
+
+describe("applyScreener", () => {
+  it("returns the input when no condition has a bound", () => {
+    const screener = { combinator: "and", conditions: [{ field: "market_cap", min: "", max: "" }] };
+    expect(isScreenerActive(screener)).toBe(false);
+    expect(applyScreener(coins, screener)).toBe(coins);
+  });
+
+  it("applies inclusive min and max bounds", () => {
+    const screener = { combinator: "and", conditions: [{ field: "current_price", min: "3000", max: "60000" }] };
+    expect(ids(applyScreener(coins, screener))).toEqual(["btc", "eth"]);
+  });
+
+  it("combines conditions with and / or", () => {
+    const conditions = [
+      { field: "market_cap_rank", min: "", max: "1" },
+      { field: "current_price", min: "", max: "1" },
+    ];
+    expect(ids(applyScreener(coins, { combinator: "and", conditions }))).toEqual([]);
+    expect(ids(applyScreener(coins, { combinator: "or", conditions }))).toEqual(["btc", "doge"]);
+  });
+
+  it("excludes coins missing the field", () => {
+    const screener = { combinator: "and", conditions: [{ field: "total_volume", min: "0", max: "" }] };
+    expect(ids(applyScreener(coins, screener))).toEqual(["btc", "eth"]);
+  });
+});
+
+describe("encodeScreener / decodeScreener", () => {
+  it("round-trips active conditions and drops the rest", () => {
+    const screener = {
+      combinator: "or",
+      conditions: [
+        { field: "market_cap", min: "1000000000", max: "" },
+        { field: "market_cap_rank", min: "", max: "100" },
+        { field: "total_volume", min: "", max: "" },
+      ],
+    };
+    const text = encodeScreener(screener);
+    expect(text).toBe("or|market_cap:1000000000:|market_cap_rank::100");
+    expect(decodeScreener(text)).toEqual({ combinator: "or", conditions: screener.conditions.slice(0, 2) });
+  });
+
+  it("ignores unknown fields and empty input", () => {
+    expect(decodeScreener("and|nope:1:2").conditions).toEqual([]);
+    expect(decodeScreener("")).toBe(EMPTY_SCREENER);
+    expect(encodeScreener(EMPTY_SCREENER)).toBe("");
+  });
+});
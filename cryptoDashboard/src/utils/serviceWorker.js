@@ -0,0 +1,12 @@
+// src/utils/serviceWorker.js
+
+// Registers the service worker (src/sw.js, built to /sw.js) in production
+// builds. The dev server is left alone: a cached shell would fight Vite's
+// module reloading.
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    // without a worker the app still runs, just not offline
+    navigator.serviceWorker.register("/sw.js").catch(() => {});
+  });
+}
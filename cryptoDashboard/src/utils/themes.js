@@ -0,0 +1,142 @@
+// src/utils/themes.js
+// Design tokens. Each theme is a flat map of token -> CSS color; the active
+// one is written to CSS custom properties on <html>, so style objects refer
+// to tokens through `color.*` (e.g. `color.surface` is
+// `var(--color-surface)`) and never hardcode a color. Google Charts cannot
+// read CSS variables; chart options take resolved values from useTheme().
+
+const LIGHT = {
+  bg: "#f9fafb",
+  surface: "#ffffff",
+  surfaceAlt: "#eff6ff",
+  text: "#111827",
+  textMuted: "#6b7280",
+  textFaint: "#9ca3af",
+  border: "#e5e7eb",
+  borderSubtle: "#f3f4f6",
+  accent: "#111827",
+  accentText: "#ffffff",
+  link: "#2563eb",
+  info: "#0ea5e9",
+  warning: "#f59e0b",
+  danger: "#dc2626",
+  neutral: "#94a3b8",
+  shadow: "rgba(0,0,0,0.08)",
+  overlay: "rgba(0,0,0,0.4)",
+};
+
+const DARK = {
+  bg: "#0b1120",
+  surface: "#111827",
+  surfaceAlt: "#1e293b",
+  text: "#f3f4f6",
+  textMuted: "#9ca3af",
+  textFaint: "#6b7280",
+  border: "#374151",
+  borderSubtle: "#1f2937",
+  accent: "#e5e7eb",
+  accentText: "#111827",
+  link: "#60a5fa",
+  info: "#38bdf8",
+  warning: "#fbbf24",
+  danger: "#f87171",
+  neutral: "#64748b",
+  shadow: "rgba(0,0,0,0.5)",
+  overlay: "rgba(0,0,0,0.6)",
+};
+
+const HIGH_CONTRAST = {
+  bg: "#000000",
+  surface: "#000000",
+  surfaceAlt: "#1a1a1a",
+  text: "#ffffff",
+  textMuted: "#ffffff",
+  textFaint: "#d4d4d4",
+  border: "#ffffff",
+  borderSubtle: "#a3a3a3",
+  accent: "#ffff00",
+  accentText: "#000000",
+  link: "#00ffff",
+  info: "#00ffff",
+  warning: "#ffff00",
+  danger: "#ff6b6b",
+  neutral: "#d4d4d4",
+  shadow: "transparent",
+  overlay: "rgba(0,0,0,0.8)",
+};
+
+export const THEMES = {
+  light: { id: "light", label: "Light", dark: false, tokens: LIGHT },
+  dark: { id: "dark", label: "Dark", dark: true, tokens: DARK },
+  "high-contrast": { id: "high-contrast", label: "High contrast", dark: true, tokens: HIGH_CONTRAST },
+};
+
+// "system" follows prefers-color-scheme / prefers-contrast.
+export const THEME_MODES = [{ id: "system", label: "System" }, ...Object.values(THEMES)];
+
+// Up/down colors. The colorblind palette is Okabe–Ito blue/orange, which
+// stays distinguishable with red–green color vision deficiencies.
+export const PALETTES = {
+  standard: {
+    id: "standard",
+    label: "Green / red",
+    light: { up: "#16a34a", down: "#ef4444" },
+    dark: { up: "#22c55e", down: "#f87171" },
+  },
+  colorblind: {
+    id: "colorblind",
+    label: "Colorblind safe (blue / orange)",
+    light: { up: "#0072b2", down: "#d55e00" },
+    dark: { up: "#56b4e9", down: "#e69f00" },
+  },
+};
+
+export const DEFAULT_PALETTE = "standard";
+
+// Distinct series colors for multi-line charts, per theme darkness.
+const SERIES = {
+  light: ["#2563eb", "#f59e0b", "#10b981", "#ef4444", "#8b5cf6", "#0ea5e9"],
+  dark: ["#60a5fa", "#fbbf24", "#34d399", "#f87171", "#a78bfa", "#38bdf8"],
+};
+
+function withAlpha(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${n >> 16},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+/** Fully resolved token values for a theme id and palette id. */
+export function resolveTheme(themeId, paletteId) {
+  const theme = THEMES[themeId] || THEMES.light;
+  const tone = theme.dark ? "dark" : "light";
+  const { up, down } = (PALETTES[paletteId] || PALETTES[DEFAULT_PALETTE])[tone];
+  return {
+    id: theme.id,
+    dark: theme.dark,
+    colors: {
+      ...theme.tokens,
+      up,
+      down,
+      upSoft: withAlpha(up, 0.18),
+      downSoft: withAlpha(down, 0.18),
+      series: SERIES[tone],
+    },
+  };
+}
+
+function cssName(token) {
+  return `--color-${token.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)}`;
+}
+
+/** `{ "--color-text": "#111827", … }` for every scalar token. */
+export function cssVariables(resolved) {
+  return Object.fromEntries(
+    Object.entries(resolved.colors)
+      .filter(([, v]) => typeof v === "string")
+      .map(([k, v]) => [cssName(k), v]),
+  );
+}
+
+/** Token references for style objects, e.g. `color.up` -> `var(--color-up)`. */
+export const color = Object.fromEntries(
+  [...Object.keys(LIGHT), "up", "down", "upSoft", "downSoft"].map((k) => [k, `var(${cssName(k)})`]),
+);
@@ -1,7 +1,34 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits src/sw.js as /sw.js stamped with a hash of the build output, plus
+// precache-manifest.json listing the hashed bundles for it to cache on
+// install, before the first offline visit. A new hash makes the browser
+// install the new worker, whose activate step prunes the old bundles.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle)
+        .filter((file) => file.startsWith('assets/') && !file.endsWith('.map'))
+        .map((file) => `/${file}`)
+      const hash = createHash('sha256')
+      for (const [name, output] of Object.entries(bundle).sort(([a], [b]) => a.localeCompare(b))) {
+        hash.update(name).update(output.type === 'chunk' ? output.code : output.source)
+      }
+      const version = hash.digest('hex').slice(0, 12)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('"__BUILD_VERSION__"', JSON.stringify(version))
+      this.emitFile({ type: 'asset', fileName: 'precache-manifest.json', source: JSON.stringify(files) })
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })